@@ -0,0 +1,71 @@
+// --- Daily challenge ---
+// One puzzle per UTC date, generated from a seed derived from the date so every player gets
+// the same level. Streaks and results live in localStorage only.
+// Daily level ids are "daily_YYYY-MM-DD": never numeric, so they cannot clash with x_y_lo_hi ids.
+
+const DAILY_STORAGE_KEY = 'sfg-daily';
+
+// UTC date as YYYY-MM-DD
+function dailyKey(date) {
+    return (date || new Date()).toISOString().slice(0, 10);
+}
+
+function previousDailyKey(key) {
+    const d = new Date(`${key}T00:00:00Z`);
+    d.setUTCDate(d.getUTCDate() - 1);
+    return dailyKey(d);
+}
+
+function dailyLevelId(key) {
+    return `daily_${key}`;
+}
+
+function dailySeed(key) {
+    return hashSeed(`daily:${key}`);
+}
+
+// { streak, best, lastKey, results: { [key]: { elapsedMs, attempts, assisted } } }
+function loadDailyRecord() {
+    const empty = { streak: 0, best: 0, lastKey: null, results: {} };
+    try {
+        const saved = JSON.parse(localStorage.getItem(DAILY_STORAGE_KEY));
+        return saved && typeof saved === 'object' ? { ...empty, ...saved } : empty;
+    } catch (_) {
+        return empty;
+    }
+}
+
+function saveDailyRecord(record) {
+    try { localStorage.setItem(DAILY_STORAGE_KEY, JSON.stringify(record)); }
+    catch (_) {} // private mode / storage full: the streak just won't persist
+}
+
+// Streak still alive today: the last solve was today or yesterday
+function currentDailyStreak(record, todayKey) {
+    if (record.lastKey === todayKey || record.lastKey === previousDailyKey(todayKey)) return record.streak;
+    return 0;
+}
+
+// Record a solve of day `key`. Only the first solve of a day counts; returns the updated record.
+function recordDailyResult(record, key, result) {
+    if (record.results[key]) return record;
+    const streak = record.lastKey === previousDailyKey(key) ? record.streak + 1 : 1;
+    return {
+        ...record,
+        streak,
+        best: Math.max(record.best, streak),
+        lastKey: key,
+        results: { ...record.results, [key]: result }
+    };
+}
+
+// Spoiler-free summary for pasting into chats: no equation, start point or targets.
+// time is the solve time already formatted like the in-game timer.
+function dailyShareText(key, result, streak, time) {
+    const tries = result.attempts === 1 ? '1 attempt' : `${result.attempts} attempts`;
+    return [
+        `Slope Field Daily ${key}`,
+        `⏱ ${time} · ${tries} · ${result.assisted ? 'used Solve' : 'no Solve'}`,
+        `🔥 ${streak}-day streak`
+    ].join('\n');
+}
@@ -0,0 +1,273 @@
+// --- Headless integration engine ---
+// Pure functions only (no DOM / canvas access) so the drawn trace, the win check
+// and the solver all step the same curve with the same options.
+
+const ENGINE_DEFAULTS = {
+    method: 'rk4',        // 'euler' | 'rk4' | 'dopri'
+    stepsPerWidth: 220,   // fixed step (and max adaptive step) = box width / stepsPerWidth
+    maxSteps: 8000,
+    rtol: 1e-6,           // dopri only
+    atol: 1e-9            // dopri only
+};
+
+const NUDGE_OFFSETS = [[1,0],[-1,0],[0,1],[0,-1],[1,1],[-1,1],[1,-1],[-1,-1]];
+
+// Helper: coerce math.js outputs to a finite JS number; otherwise return null
+function toFinite(val) {
+    if (typeof val === 'number') return Number.isFinite(val) ? val : null;
+    if (val == null) return null;
+    if (typeof val === 'object') {
+        // Complex numbers are invalid for slope
+        if (typeof val.re === 'number' && typeof val.im === 'number') return null;
+        try {
+            if (typeof math !== 'undefined' && typeof math.number === 'function') {
+                const n = math.number(val);
+                return Number.isFinite(n) ? n : null;
+            }
+        } catch (_) {
+            return null;
+        }
+    }
+    const n = Number(val);
+    return Number.isFinite(n) ? n : null;
+}
+
+function boxSpan(box) {
+    return Math.max(box.xMax - box.xMin, box.yMax - box.yMin);
+}
+
+// --- Slope at (x, y) with the 8-offset nudge recovery for removable holes like 0/0 ---
+// Returns { slope, infinite }; slope is null when nothing finite was found nearby.
+function sampleSlope(f, x, y, box) {
+    let raw;
+    try { raw = f(x, y); } catch (_) { raw = null; }
+    if (raw === Infinity || raw === -Infinity) return { slope: null, infinite: true };
+    const num = toFinite(raw);
+    if (num != null) return { slope: num, infinite: false };
+
+    const eps = boxSpan(box) * 1e-3;
+    for (const [dx, dy] of NUDGE_OFFSETS) {
+        try {
+            const rs = f(x + dx * eps, y + dy * eps);
+            if (rs === Infinity || rs === -Infinity) return { slope: null, infinite: true };
+            const n = toFinite(rs);
+            if (n != null) return { slope: n, infinite: false };
+        } catch (_) {}
+    }
+    return { slope: null, infinite: false };
+}
+
+// --- Velocity [x', y'] of a system field (f.vector, see vectorField in expr.js) ---
+// Same nudge recovery as sampleSlope. Returns { vx, vy } or { stop: 'singular' | 'undefined' }.
+function sampleVelocity(f, x, y, box) {
+    const eps = boxSpan(box) * 1e-3;
+    for (const [dx, dy] of [[0, 0], ...NUDGE_OFFSETS]) {
+        let v;
+        try { v = f.vector(x + dx * eps, y + dy * eps); } catch (_) { continue; }
+        if (v.some(c => c === Infinity || c === -Infinity)) return { stop: 'singular' };
+        if (v.every(Number.isFinite)) return { vx: v[0], vy: v[1] };
+    }
+    return { stop: 'undefined' };
+}
+
+// If the start point sits on a non-finite slope (or velocity), move it to the first finite neighbour
+function nudgeStart(f, start, box) {
+    const finiteAt = (x, y) => {
+        try { return f.vector ? f.vector(x, y).every(Number.isFinite) : toFinite(f(x, y)) != null; }
+        catch (_) { return false; }
+    };
+    if (finiteAt(start.x, start.y)) return { x: start.x, y: start.y };
+    const eps = boxSpan(box) * 1e-3;
+    for (const [dx, dy] of NUDGE_OFFSETS) {
+        const nx = Math.min(Math.max(start.x + dx * eps, box.xMin), box.xMax);
+        const ny = Math.min(Math.max(start.y + dy * eps, box.yMin), box.yMax);
+        if (finiteAt(nx, ny)) return { x: nx, y: ny };
+    }
+    return { x: start.x, y: start.y };
+}
+
+// --- Side of the box a boundary point lies on ('top' | 'bottom' | 'left' | 'right'), or null ---
+// Corners resolve to top/bottom first.
+function boundarySide(box, x, y) {
+    const tol = boxSpan(box) * 1e-6;
+    if (Math.abs(y - box.yMax) <= tol) return 'top';
+    if (Math.abs(y - box.yMin) <= tol) return 'bottom';
+    if (Math.abs(x - box.xMin) <= tol) return 'left';
+    if (Math.abs(x - box.xMax) <= tol) return 'right';
+    return null;
+}
+
+// --- Unit tangent of the solution curve, parameterized by arc length ---
+// Slope fields move along (1, f), systems along their velocity (dir = -1 runs t backwards).
+// Returns [ux, uy], or { stop: 'singular' | 'undefined' | 'equilibrium' } when the field gives no direction.
+function unitTangent(f, x, y, dir, box) {
+    if (f.vector) {
+        const v = sampleVelocity(f, x, y, box);
+        if (v.stop) return v;
+        const speed = Math.hypot(v.vx, v.vy);
+        if (speed === 0) return { stop: 'equilibrium' };
+        return [(dir * v.vx) / speed, (dir * v.vy) / speed];
+    }
+    const { slope, infinite } = sampleSlope(f, x, y, box);
+    if (infinite) return { stop: 'singular' };
+    if (slope == null) return { stop: 'undefined' };
+    const len = Math.hypot(1, slope);
+    return [dir / len, (dir * slope) / len];
+}
+
+// One fixed step of size h. Returns { x, y } or { stop } from the first failing stage.
+function stepEuler(f, x, y, h, dir, box) {
+    const k1 = unitTangent(f, x, y, dir, box);
+    if (k1.stop) return k1;
+    return { x: x + h * k1[0], y: y + h * k1[1] };
+}
+
+function stepRK4(f, x, y, h, dir, box) {
+    const k1 = unitTangent(f, x, y, dir, box);
+    if (k1.stop) return k1;
+    const k2 = unitTangent(f, x + h / 2 * k1[0], y + h / 2 * k1[1], dir, box);
+    if (k2.stop) return stepEuler(f, x, y, h, dir, box);
+    const k3 = unitTangent(f, x + h / 2 * k2[0], y + h / 2 * k2[1], dir, box);
+    if (k3.stop) return stepEuler(f, x, y, h, dir, box);
+    const k4 = unitTangent(f, x + h * k3[0], y + h * k3[1], dir, box);
+    if (k4.stop) return stepEuler(f, x, y, h, dir, box);
+    return {
+        x: x + h / 6 * (k1[0] + 2 * k2[0] + 2 * k3[0] + k4[0]),
+        y: y + h / 6 * (k1[1] + 2 * k2[1] + 2 * k3[1] + k4[1])
+    };
+}
+
+// Dormand–Prince 5(4) tableau
+const DOPRI_A = [
+    [],
+    [1/5],
+    [3/40, 9/40],
+    [44/45, -56/15, 32/9],
+    [19372/6561, -25360/2187, 64448/6561, -212/729],
+    [9017/3168, -355/33, 46732/5247, 49/176, -5103/18656],
+    [35/384, 0, 500/1113, 125/192, -2187/6784, 11/84]
+];
+const DOPRI_B5 = [35/384, 0, 500/1113, 125/192, -2187/6784, 11/84, 0];
+const DOPRI_B4 = [5179/57600, 0, 7571/16695, 393/640, -92097/339200, 187/2100, 1/40];
+
+// One attempted Dormand–Prince step. Returns { x, y, err } or { stop }.
+function stepDopri(f, x, y, h, dir, box, rtol, atol) {
+    const k = [];
+    for (let s = 0; s < 7; s++) {
+        let sx = x, sy = y;
+        for (let j = 0; j < s; j++) {
+            sx += h * DOPRI_A[s][j] * k[j][0];
+            sy += h * DOPRI_A[s][j] * k[j][1];
+        }
+        const ks = unitTangent(f, sx, sy, dir, box);
+        if (ks.stop) return ks;
+        k.push(ks);
+    }
+    let x5 = x, y5 = y, x4 = x, y4 = y;
+    for (let s = 0; s < 7; s++) {
+        x5 += h * DOPRI_B5[s] * k[s][0]; y5 += h * DOPRI_B5[s] * k[s][1];
+        x4 += h * DOPRI_B4[s] * k[s][0]; y4 += h * DOPRI_B4[s] * k[s][1];
+    }
+    const scX = atol + rtol * Math.max(Math.abs(x), Math.abs(x5));
+    const scY = atol + rtol * Math.max(Math.abs(y), Math.abs(y5));
+    const err = Math.hypot((x5 - x4) / scX, (y5 - y4) / scY) / Math.SQRT2;
+    return { x: x5, y: y5, err };
+}
+
+// Fraction t in [0, 1] along (x0,y0)->(x1,y1) where the chord first leaves the box, or null
+function boxCrossing(box, x0, y0, x1, y1) {
+    const dx = x1 - x0, dy = y1 - y0;
+    let t = Infinity;
+    if (x1 > box.xMax && dx > 0) t = Math.min(t, (box.xMax - x0) / dx);
+    if (x1 < box.xMin && dx < 0) t = Math.min(t, (box.xMin - x0) / dx);
+    if (y1 > box.yMax && dy > 0) t = Math.min(t, (box.yMax - y0) / dy);
+    if (y1 < box.yMin && dy < 0) t = Math.min(t, (box.yMin - y0) / dy);
+    return t === Infinity ? null : Math.min(Math.max(t, 0), 1);
+}
+
+// --- Where and how a branch ended ---
+// side/along give the boundary crossing (along = x on top/bottom, y on left/right), or null
+// when the branch stopped inside the box. slope is dy/dx at the crossing (the field value when
+// finite, else the last chord's), angle the direction of travel in radians.
+function describeExit(f, box, path, reason, steps) {
+    const [x, y] = path[path.length - 1];
+    const side = boundarySide(box, x, y);
+    let along = null;
+    if (side === 'top' || side === 'bottom') along = x;
+    if (side === 'left' || side === 'right') along = y;
+
+    const [px, py] = path.length > 1 ? path[path.length - 2] : [x, y];
+    const { slope: fieldSlope } = sampleSlope(f, x, y, box);
+    const slope = fieldSlope != null ? fieldSlope
+                : (x !== px ? (y - py) / (x - px) : (y >= py ? Infinity : -Infinity));
+    const angle = path.length > 1 ? Math.atan2(y - py, x - px) : null;
+    return { reason, x, y, side, along, slope, angle, steps };
+}
+
+// --- Integrate one branch (dir = +1 forward in x, or in t for systems; -1 backward) until it leaves the box ---
+// Returns { path: [[x, y], ...], exit } (see describeExit) where exit.reason is
+// 'boundary', 'singular' (|f| → ∞), 'undefined' (no finite slope nearby), 'equilibrium'
+// (a system came to rest) or 'maxSteps'.
+function integrateBranch(f, start, box, dir, options) {
+    const opts = { ...ENGINE_DEFAULTS, ...(options || {}) };
+    const h0 = (box.xMax - box.xMin) / opts.stepsPerWidth;
+    const hMin = h0 * 1e-4;
+    const path = [[start.x, start.y]];
+    let x = start.x, y = start.y;
+    let h = h0;
+    let steps = 0;
+    let prev = null; // a system's last chord, to see it turn back on itself at a rest point
+
+    const finish = (reason) => ({ path, exit: describeExit(f, box, path, reason, steps) });
+
+    while (steps < opts.maxSteps) {
+        steps++;
+        let next;
+        const taken = opts.method === 'dopri' ? h : h0;
+        if (opts.method === 'euler') {
+            next = stepEuler(f, x, y, h0, dir, box);
+        } else if (opts.method === 'dopri') {
+            next = stepDopri(f, x, y, h, dir, box, opts.rtol, opts.atol);
+            if (!next.stop) {
+                const factor = next.err > 0 ? Math.min(5, Math.max(0.2, 0.9 * Math.pow(next.err, -1 / 5))) : 5;
+                if (next.err > 1 && h > hMin) { h = Math.max(hMin, h * factor); continue; }
+                h = Math.min(h0, h * factor);
+            }
+        } else {
+            next = stepRK4(f, x, y, h0, dir, box);
+        }
+        if (next.stop) return finish(next.stop);
+        if (!Number.isFinite(next.x) || !Number.isFinite(next.y)) return finish('undefined');
+
+        const t = boxCrossing(box, x, y, next.x, next.y);
+        if (t !== null) {
+            x = Math.min(Math.max(x + t * (next.x - x), box.xMin), box.xMax);
+            y = Math.min(Math.max(y + t * (next.y - y), box.yMin), box.yMax);
+            path.push([x, y]);
+            return finish('boundary');
+        }
+        // A system that stops making headway (the stages cancel out, or the step reverses the one
+        // before) is sitting on an equilibrium the step size cannot resolve
+        if (f.vector) {
+            const cx = next.x - x, cy = next.y - y, len = Math.hypot(cx, cy);
+            if (len < 0.25 * taken || (prev && cx * prev[0] + cy * prev[1] < -0.5 * len * Math.hypot(prev[0], prev[1]))) {
+                return finish('equilibrium');
+            }
+            prev = [cx, cy];
+        }
+        x = next.x; y = next.y;
+        path.push([x, y]);
+    }
+    return finish('maxSteps');
+}
+
+// --- Integrate both branches from a start point ---
+// Returns { start, forward, backward }; start may be nudged off a non-finite slope.
+function integrateTrace(f, start, box, options) {
+    const s = nudgeStart(f, start, box);
+    return {
+        start: s,
+        forward: integrateBranch(f, s, box, 1, options),
+        backward: integrateBranch(f, s, box, -1, options)
+    };
+}
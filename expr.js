@@ -0,0 +1,344 @@
+// --- Equation front end ---
+// Turns what the player types into a math.js expression (our own tokenizer and parser, so implicit
+// multiplication, |x| and typographic symbols work and errors point at a character) and a callable
+// field f(x, y).
+//
+// Modes (a level's "mode"):
+//   'slope'   y' = f(x, y); the solution curve is a graph traced left to right
+//   'system'  x' = f(x, y), y' = g(x, y), written "f; g"; trajectories are traced in t
+//   'second'  y'' = F(y, y') as its phase portrait: the plane is (y, y') and the system is
+//             y' = y', y'' = F. F cannot use x, or the portrait would change over time.
+// Any other letter (a, k, ω) is a parameter: its value comes from the params passed to
+// compileEquation, and bindParameters writes the values into the equation text.
+const EQUATION_MODES = ['slope', 'system', 'second'];
+const EQUATION_VARIABLES = ['x', 'y', 'yp'];
+
+// --- Vocabulary: the functions and constants a player can type; every other letter is a parameter ---
+const EQUATION_FUNCTIONS = [
+    'sin', 'cos', 'tan', 'sec', 'csc', 'cot', 'asin', 'acos', 'atan',
+    'sinh', 'cosh', 'tanh', 'asinh', 'acosh', 'atanh', 'exp', 'log', 'ln', 'sqrt', 'abs'
+];
+// Other spellings of a function, by the name the parser gives it: ln is log, |x| is abs. A level's
+// allowedFunctions may use either; functionLabel is how a name is shown back to the player.
+const FUNCTION_ALIASES = { ln: 'log', '|x|': 'abs' };
+const canonicalFunctionName = (name) => FUNCTION_ALIASES[name] || name;
+const isEquationFunction = (name) => EQUATION_FUNCTIONS.includes(canonicalFunctionName(name));
+const functionLabel = (name) => ({ log: 'ln', abs: '|x|' })[name] || name;
+const EQUATION_CONSTANTS = ['pi', 'e'];
+// Names a run of letters is split into, longest first: "xsin" is x·sin, "exp2x" is exp(2x)
+const EQUATION_WORDS = [...EQUATION_FUNCTIONS, 'pi'].sort((a, b) => b.length - a.length);
+// Typographic symbols accepted as operators
+const UNICODE_OPERATORS = { '−': '-', '–': '-', '×': '*', '·': '*', '⋅': '*', '∙': '*', '÷': '/' };
+const SUPERSCRIPT_DIGITS = { '²': 2, '³': 3 };
+
+// A syntax error at characters [position, position + length) of the text that was parsed
+function equationError(message, position, length) {
+    return Object.assign(new Error(message), { position, length: length || 1 });
+}
+
+// A parameter is one letter (Latin or Greek) that is not a variable or a constant
+function isParameterName(name) {
+    return /^[a-zα-ω]$/.test(name) && name !== 'π' && !EQUATION_VARIABLES.includes(name) && !EQUATION_CONSTANTS.includes(name);
+}
+
+// --- Tokens { type: 'number' | 'name' | 'function' | 'op', value, pos, end } ---
+// y' is the name yp; ln and √ are log and sqrt; ² and ³ are ^2 and ^3. A number only takes an
+// exponent written without spaces and with digits after it (2e-3), so 2e^x is 2·e^x.
+function tokenizeEquation(text) {
+    const tokens = [];
+    const push = (type, value, pos, end) => tokens.push({ type, value, pos, end });
+    let i = 0;
+    while (i < text.length) {
+        const c = text[i];
+        if (/\s/.test(c)) { i++; continue; }
+        const number = /^(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?/.exec(text.slice(i));
+        if (number) {
+            push('number', Number(number[0]), i, i + number[0].length);
+            i += number[0].length;
+            // 3.5.2 is a typo, not 3.5·0.2
+            if (text[i] === '.') throw equationError('A number can only have one decimal point', i);
+            continue;
+        }
+        if (c === 'π') { push('name', 'pi', i, i + 1); i++; continue; }
+        if (c === '√') { push('function', 'sqrt', i, i + 1); i++; continue; }
+        if (c in SUPERSCRIPT_DIGITS) {
+            push('op', '^', i, i + 1);
+            push('number', SUPERSCRIPT_DIGITS[c], i, i + 1);
+            i++;
+            continue;
+        }
+        if (/[a-zα-ω]/.test(c)) {
+            let j = i;
+            while (j < text.length && /[a-zα-ω]/.test(text[j]) && text[j] !== 'π') j++;
+            while (i < j) {
+                const word = EQUATION_WORDS.find(w => text.startsWith(w, i) && i + w.length <= j);
+                if (word) {
+                    const fn = canonicalFunctionName(word);
+                    push(word === 'pi' ? 'name' : 'function', fn, i, i + word.length);
+                    i += word.length;
+                } else if (text[i] === 'y' && i + 1 === j && text[j] === "'") {
+                    push('name', 'yp', i, i + 2);
+                    i += 2;
+                } else {
+                    push('name', text[i], i, i + 1);
+                    i++;
+                }
+            }
+            continue;
+        }
+        if (text.startsWith('**', i)) { push('op', '^', i, i + 2); i += 2; continue; }
+        const op = UNICODE_OPERATORS[c] || c;
+        if ('+-*/^(),|'.includes(op)) { push('op', op, i, i + 1); i++; continue; }
+        throw equationError(c === "'" ? "Only y can take a ' (as y')" : `“${c}” is not allowed here`, i);
+    }
+    return tokens;
+}
+
+// --- Parse what the player typed into a math.js node; throws equationError on bad syntax ---
+// Loosest first:
+//   sum      = product (("+" | "-") product)*
+//   product  = unary (("*" | "/") unary | power)*      a factor right after another multiplies
+//   unary    = ("-" | "+") unary | power
+//   power    = primary ("^" unary)?
+//   primary  = number | name | call | "(" sum ")" | "|" sum "|"
+//   call     = function ("^" primary)? ("(" sum ("," sum)* ")" | argument)
+// A bare argument runs to the next operator or function: sin 2x = sin(2x), sqrt x + 1 = sqrt(x) + 1,
+// sin x cos x = sin(x)·cos(x). sin^2 x is sin(x)^2.
+function parseEquation(text) {
+    const src = (text || '').toLowerCase();
+    const tokens = tokenizeEquation(src);
+    let k = 0;
+    let absDepth = 0; // inside |...| a "|" closes rather than opens
+    const peek = () => tokens[k];
+    const isOp = (tok, value) => tok && tok.type === 'op' && tok.value === value;
+    const startsFactor = (tok) => tok && (tok.type !== 'op' || tok.value === '(' || (tok.value === '|' && absDepth === 0));
+    const binary = (value, fn, args, implicit) => new math.OperatorNode(value, fn, args, implicit);
+    const tokenText = (tok) => src.slice(tok.pos, tok.end);
+
+    // Where input ran out: after an operator, inside an open bracket, or before anything at all
+    function unfinished() {
+        const prev = tokens[k - 1];
+        if (!prev) return equationError('Type an expression', 0);
+        if (isOp(prev, '(') || isOp(prev, '|')) return equationError(`This ${prev.value} is never closed`, prev.pos);
+        if (prev.type === 'op' || prev.type === 'function') {
+            return equationError(`Expected something after ${tokenText(prev)}`, prev.pos, prev.end - prev.pos);
+        }
+        return equationError('Unfinished expression', src.length);
+    }
+
+    function closing(open, value) {
+        if (isOp(peek(), value)) { k++; return; }
+        throw equationError(`This ${open.value} is never closed`, open.pos);
+    }
+
+    function parseSum() {
+        let node = parseProduct();
+        while (isOp(peek(), '+') || isOp(peek(), '-')) {
+            const op = tokens[k++].value;
+            node = binary(op, op === '+' ? 'add' : 'subtract', [node, parseProduct()]);
+        }
+        return node;
+    }
+
+    function parseProduct() {
+        let node = parseUnary();
+        for (;;) {
+            if (isOp(peek(), '*') || isOp(peek(), '/')) {
+                const op = tokens[k++].value;
+                node = binary(op, op === '*' ? 'multiply' : 'divide', [node, parseUnary()]);
+            } else if (startsFactor(peek())) {
+                node = binary('*', 'multiply', [node, parsePower()], true);
+            } else {
+                return node;
+            }
+        }
+    }
+
+    function parseUnary() {
+        if (isOp(peek(), '-') || isOp(peek(), '+')) {
+            const op = tokens[k++].value;
+            return new math.OperatorNode(op, op === '-' ? 'unaryMinus' : 'unaryPlus', [parseUnary()]);
+        }
+        return parsePower();
+    }
+
+    function parsePower() {
+        const base = parsePrimary();
+        if (!isOp(peek(), '^')) return base;
+        k++;
+        return binary('^', 'pow', [base, parseUnary()]);
+    }
+
+    function parsePrimary() {
+        const tok = tokens[k];
+        if (!tok) throw unfinished();
+        k++;
+        if (tok.type === 'number') return new math.ConstantNode(tok.value);
+        if (tok.type === 'name') return new math.SymbolNode(tok.value);
+        if (tok.type === 'function') return parseCall(tok);
+        if (tok.value === '(') {
+            const inner = parseSum();
+            closing(tok, ')');
+            return new math.ParenthesisNode(inner);
+        }
+        if (tok.value === '|') {
+            absDepth++;
+            const inner = parseSum();
+            absDepth--;
+            closing(tok, '|');
+            return new math.FunctionNode('abs', [inner]);
+        }
+        if (tok.value === ')') {
+            const prev = tokens[k - 2];
+            if (isOp(prev, '(')) throw equationError('Nothing inside these brackets', prev.pos, tok.end - prev.pos);
+            if (isOp(prev, ',')) throw equationError('Expected something after ,', prev.pos);
+            throw equationError('This ) has no matching (', tok.pos);
+        }
+        throw equationError(`Unexpected ${tokenText(tok)}`, tok.pos, tok.end - tok.pos);
+    }
+
+    function parseCall(fn) {
+        let power = null;
+        if (isOp(peek(), '^')) { k++; power = parsePrimary(); }
+        let args;
+        if (isOp(peek(), '(')) {
+            const open = tokens[k++];
+            if (isOp(peek(), ')')) {
+                throw equationError(`${tokenText(fn)} needs something inside the brackets, like ${tokenText(fn)}(x)`, fn.pos, peek().end - fn.pos);
+            }
+            args = [parseSum()];
+            while (isOp(peek(), ',')) { k++; args.push(parseSum()); }
+            closing(open, ')');
+        } else {
+            if (!peek()) throw unfinished();
+            let arg = isOp(peek(), '-') ? (k++, new math.OperatorNode('-', 'unaryMinus', [parsePower()])) : parsePower();
+            while (startsFactor(peek()) && peek().type !== 'function') arg = binary('*', 'multiply', [arg, parsePower()], true);
+            args = [arg];
+        }
+        const arity = fn.value === 'log' ? [1, 2] : [1, 1];
+        if (args.length < arity[0] || args.length > arity[1]) {
+            const takes = fn.value === 'log' ? 'one or two arguments' : 'one argument';
+            throw equationError(`${tokenText(fn)} takes ${takes}`, fn.pos, fn.end - fn.pos);
+        }
+        const call = new math.FunctionNode(fn.value, args);
+        return power ? binary('^', 'pow', [call, power]) : call;
+    }
+
+    const node = parseSum();
+    const extra = tokens[k];
+    if (extra) {
+        if (isOp(extra, ')')) throw equationError('This ) has no matching (', extra.pos);
+        throw equationError(`Unexpected ${tokenText(extra)}`, extra.pos, extra.end - extra.pos);
+    }
+    return node;
+}
+
+// --- The two halves of a system "f; g"; throws unless there are exactly two ---
+function splitSystem(equation) {
+    const parts = (equation || '').split(';').map(p => p.trim() || '0');
+    if (parts.length !== 2) throw new Error("A system needs two equations: x' and y'");
+    return parts;
+}
+
+// Parse each half of a system, or the whole equation; a syntax error in a half records it as part
+function parseParts(equation, mode) {
+    const parts = mode === 'system' ? splitSystem(equation) : [equation];
+    return parts.map((part, i) => {
+        try { return parseEquation(part); }
+        catch (err) { throw Object.assign(err, { part: i }); }
+    });
+}
+
+// One parsed expression, compiled; variables not allowed in the mode are rejected with a reason
+function compileExpression(node, mode) {
+    node.traverse(n => {
+        if (n.type !== 'SymbolNode') return;
+        if (n.name === 'yp' && mode !== 'second') throw new Error("y' can only be used in y'' = F(y, y')");
+        if (n.name === 'x' && mode === 'second') throw new Error("y'' = F(y, y') cannot depend on x");
+    });
+    return node.compile();
+}
+
+// --- A system's field ---
+// f.vector(x, y) is the velocity [x', y'] the engine follows (components are finite numbers,
+// ±Infinity at a singularity or NaN where undefined); f(x, y) itself is the slope y'/x' of the
+// trajectories, which is what the glyphs, isoclines and exit records read.
+function vectorField(velocity) {
+    const component = (v) => (v === Infinity || v === -Infinity ? v : toFinite(v) ?? NaN);
+    const vector = (x, y) => velocity(x, y).map(component);
+    const f = (x, y) => {
+        const [vx, vy] = vector(x, y);
+        return vy / vx;
+    };
+    f.vector = vector;
+    return f;
+}
+
+// --- Compile an equation string into f(x, y) for a mode (default 'slope'); throws on invalid input ---
+// params holds parameter values ({ k: 0.5 }); a parameter without one leaves f undefined.
+function compileEquation(equation, mode, params) {
+    const p = params || {};
+    const [first, second] = parseParts(equation, mode).map(node => compileExpression(node, mode || 'slope'));
+    if (mode === 'system') {
+        return vectorField((x, y) => [first.evaluate({ ...p, x, y }), second.evaluate({ ...p, x, y })]);
+    }
+    if (mode === 'second') return vectorField((y, yp) => [yp, first.evaluate({ ...p, y, yp })]);
+    return (x, y) => first.evaluate({ ...p, x, y });
+}
+
+const isParameterSymbol = (node, path) => node.type === 'SymbolNode' && path !== 'fn' && isParameterName(node.name);
+
+// --- Parameters of an equation, sorted by name; throws on invalid input ---
+function equationParameters(equation, mode) {
+    const names = new Set();
+    for (const tree of parseParts(equation, mode)) {
+        tree.traverse((node, path) => {
+            if (isParameterSymbol(node, path)) names.add(node.name);
+        });
+    }
+    return [...names].sort();
+}
+
+// A number as a node; negatives are parenthesized so "a^2" stays (-1)^2 rather than -1^2
+function numberNode(value) {
+    const node = new math.ConstantNode(Math.abs(value));
+    return value < 0 ? new math.ParenthesisNode(new math.OperatorNode('-', 'unaryMinus', [node])) : node;
+}
+
+// --- The equation with each parameter in values replaced by its number ("k*x" → "0.5 * x") ---
+// Returns the equation unchanged when it has no parameters; throws on invalid input.
+function bindParameters(equation, mode, values) {
+    const names = equationParameters(equation, mode).filter(name => Number.isFinite(values[name]));
+    if (names.length === 0) return equation;
+    const bind = (tree) => tree
+        .transform((node, path) => (isParameterSymbol(node, path) && names.includes(node.name)
+            ? numberNode(values[node.name]) : node))
+        .toString()
+        .replace(/\byp\b/g, "y'");
+    return parseParts(equation, mode).map(bind).join('; ');
+}
+
+// --- Parsed form used to tell attempts apart ("x+y" and "x + y" are the same attempt) ---
+function canonicalEquation(equation) {
+    return parseEquation(equation).toString();
+}
+
+// Fixed sample points in [-5, 5]^2 (Halton bases 2 and 3) so equivalence checks are deterministic
+const EQUIV_SAMPLES = Array.from({ length: 24 }, (_, i) => {
+    const halton = (n, base) => { let r = 0, f = 1; while (n > 0) { f /= base; r += f * (n % base); n = Math.floor(n / base); } return r; };
+    return [halton(i + 1, 2) * 10 - 5, halton(i + 1, 3) * 10 - 5];
+});
+
+// --- Do two equations define the same field? ("x+y" vs "y + x", "2(x+1)" vs "2x+2") ---
+function equivalentEquations(a, b) {
+    let fa, fb;
+    try { fa = compileEquation(a); fb = compileEquation(b); } catch (_) { return false; }
+    for (const [x, y] of EQUIV_SAMPLES) {
+        let va, vb;
+        try { va = toFinite(fa(x, y)); } catch (_) { va = null; }
+        try { vb = toFinite(fb(x, y)); } catch (_) { vb = null; }
+        if (va === null || vb === null) { if (va !== vb) return false; continue; }
+        if (Math.abs(va - vb) > 1e-9 * Math.max(1, Math.abs(va), Math.abs(vb))) return false;
+    }
+    return true;
+}
@@ -0,0 +1,296 @@
+// --- Direction field display settings ---
+// How plotVectorField draws f: grid density, glyph style, |f| scaling, a background heatmap and
+// isoclines.
+// Settings live in localStorage; the sampling and streamline placement here are pure (no DOM).
+
+const FIELD_STORAGE_KEY = 'sfg-field';
+
+const FIELD_DEFAULTS = {
+    density: 20,          // glyphs across the wider side of the canvas
+    style: 'arrows',      // 'arrows' | 'segments' (no heads) | 'streamlines'
+    scaleBy: 'none',      // 'none' | 'length' | 'color': encode |f| in glyph length or colour
+    heatmap: 'off',       // 'off' | 'magnitude' (|f|) | 'sign' (f > 0 warm, f < 0 cool)
+    isoclines: false,     // overlay the curves f = c for each c in isoValues
+    isoValues: [-1, 0, 1]
+};
+
+const FIELD_CHOICES = {
+    style: ['arrows', 'segments', 'streamlines'],
+    scaleBy: ['none', 'length', 'color'],
+    heatmap: ['off', 'magnitude', 'sign']
+};
+const FIELD_DENSITY_RANGE = [8, 40];
+const ISO_VALUES_MAX = 12;
+
+// Fill in defaults and drop anything out of range (saved settings may come from older versions)
+function normalizeFieldSettings(settings) {
+    const s = { ...FIELD_DEFAULTS, ...(settings || {}) };
+    for (const key of Object.keys(FIELD_CHOICES)) {
+        if (!FIELD_CHOICES[key].includes(s[key])) s[key] = FIELD_DEFAULTS[key];
+    }
+    const [lo, hi] = FIELD_DENSITY_RANGE;
+    s.density = Number.isFinite(s.density) ? Math.min(Math.max(Math.round(s.density), lo), hi) : FIELD_DEFAULTS.density;
+    s.isoclines = s.isoclines === true;
+    s.isoValues = Array.isArray(s.isoValues) && s.isoValues.every(Number.isFinite)
+        ? [...new Set(s.isoValues)].sort((a, b) => a - b).slice(0, ISO_VALUES_MAX)
+        : FIELD_DEFAULTS.isoValues;
+    return s;
+}
+
+// "-1, 0, 0.5" → [-1, 0, 0.5]; null if any entry is not a number or there are too many
+function parseIsoValues(text) {
+    const parts = String(text).split(/[\s,;]+/).filter(Boolean);
+    if (parts.length === 0 || parts.length > ISO_VALUES_MAX) return null;
+    const values = parts.map(Number);
+    return values.every(Number.isFinite) ? values : null;
+}
+
+function loadFieldSettings() {
+    try { return normalizeFieldSettings(JSON.parse(localStorage.getItem(FIELD_STORAGE_KEY))); }
+    catch (_) { return normalizeFieldSettings(null); }
+}
+
+function saveFieldSettings(settings) {
+    try { localStorage.setItem(FIELD_STORAGE_KEY, JSON.stringify(settings)); }
+    catch (_) {} // settings just won't persist
+}
+
+// --- |f| scale for a view: the 95th percentile of |f| over the samples, so one spike near a
+// singularity does not flatten every other glyph. Returns 1 when nothing is finite.
+function slopeScale(slopes) {
+    const mags = slopes.filter(Number.isFinite).map(Math.abs).sort((a, b) => a - b);
+    const q = quantile(mags, 0.95);
+    return q > 0 ? q : 1;
+}
+
+// --- Strength of the field at (x, y): |f|, or the speed |(x', y')| of a system; null where undefined ---
+function fieldStrength(f, x, y) {
+    try {
+        const m = f.vector ? Math.hypot(...f.vector(x, y)) : Math.abs(toFinite(f(x, y)) ?? NaN);
+        return Number.isFinite(m) ? m : null;
+    } catch (_) {
+        return null;
+    }
+}
+
+// Sequential colour map for t in [0, 1]: pale blue → violet → orange-red
+const MAGNITUDE_STOPS = [[70, 130, 220], [130, 80, 200], [235, 90, 50]];
+function magnitudeColor(t, alpha) {
+    const u = Math.min(Math.max(t, 0), 1) * (MAGNITUDE_STOPS.length - 1);
+    const i = Math.min(Math.floor(u), MAGNITUDE_STOPS.length - 2);
+    const [a, b] = [MAGNITUDE_STOPS[i], MAGNITUDE_STOPS[i + 1]];
+    const mix = (k) => Math.round(a[k] + (b[k] - a[k]) * (u - i));
+    return `rgba(${mix(0)}, ${mix(1)}, ${mix(2)}, ${alpha == null ? 1 : alpha})`;
+}
+
+// --- Evenly spaced streamlines (after Jobard & Lefer) ---
+// Seeds on a grid `spacing` apart; each seed that is not within spacing / 2 of an existing line is
+// followed both ways along the field's unit tangent (engine.js) until it leaves the window, stalls
+// on a non-finite slope, or comes within spacing / 2 of a line already drawn.
+// Returns [[[x, y], ...], ...] in world units.
+function evenStreamlines(f, win, spacing) {
+    const cols = Math.ceil((win.xMax - win.xMin) / spacing) + 1;
+    const rows = Math.ceil((win.yMax - win.yMin) / spacing) + 1;
+    const cells = Array.from({ length: cols * rows }, () => []);
+    const cellOf = (x, y) => Math.floor((x - win.xMin) / spacing) + cols * Math.floor((y - win.yMin) / spacing);
+    const minDist2 = (spacing / 2) ** 2;
+    const inside = (x, y) => x >= win.xMin && x <= win.xMax && y >= win.yMin && y <= win.yMax;
+
+    const isFree = (x, y, own) => {
+        const cx = Math.floor((x - win.xMin) / spacing), cy = Math.floor((y - win.yMin) / spacing);
+        for (let i = cx - 1; i <= cx + 1; i++) {
+            for (let j = cy - 1; j <= cy + 1; j++) {
+                if (i < 0 || j < 0 || i >= cols || j >= rows) continue;
+                for (const p of cells[i + cols * j]) {
+                    if (p.line !== own && (p.x - x) ** 2 + (p.y - y) ** 2 < minDist2) return false;
+                }
+            }
+        }
+        return true;
+    };
+
+    const direction = (x, y) => {
+        const u = unitTangent(f, x, y, 1, win);
+        return u.stop ? null : u;
+    };
+
+    const h = spacing / 4;
+    const maxSteps = Math.ceil(4 * (cols + rows) * spacing / h);
+    const follow = (x, y, dir, line) => {
+        const points = [];
+        for (let k = 0; k < maxSteps; k++) {
+            const d1 = direction(x, y);
+            if (!d1) break;
+            const d2 = direction(x + dir * d1[0] * h / 2, y + dir * d1[1] * h / 2);
+            if (!d2) break;
+            x += dir * d2[0] * h;
+            y += dir * d2[1] * h;
+            if (!inside(x, y) || !isFree(x, y, line)) break;
+            points.push([x, y]);
+        }
+        return points;
+    };
+
+    const lines = [];
+    for (let j = 0; j < rows; j++) {
+        for (let i = 0; i < cols; i++) {
+            const x = win.xMin + (i + 0.5) * spacing, y = win.yMin + (j + 0.5) * spacing;
+            if (!inside(x, y) || !isFree(x, y, -1) || !direction(x, y)) continue;
+            const id = lines.length;
+            const forward = follow(x, y, 1, id);
+            const backward = follow(x, y, -1, id);
+            const path = [...backward.reverse(), [x, y], ...forward];
+            if (path.length < 3) continue;
+            for (const [px, py] of path) cells[cellOf(px, py)].push({ x: px, y: py, line: id });
+            lines.push(path);
+        }
+    }
+    return lines;
+}
+
+// --- Isoclines f(x, y) = c by marching squares ---
+// f is sampled on a lattice of cols x rows cells over win (corners plus cell centres): finite values
+// as they are, ±Infinity kept, NaN where f has no real value. A cell whose centre value is far
+// from the mean of its corners (as a bilinear patch would have it) is straddling a pole, like 1/x
+// near x = 0, rather than a level curve, so it is skipped, as are cells with any non-finite sample.
+// The lattice keeps its sampler, at(x, y), for checks between the samples.
+function sampleLattice(f, win, cols, rows) {
+    const dx = (win.xMax - win.xMin) / cols, dy = (win.yMax - win.yMin) / rows;
+    const at = (x, y) => {
+        try {
+            const raw = f(x, y);
+            if (raw === Infinity || raw === -Infinity) return raw;
+            const v = toFinite(raw);
+            return v == null ? NaN : v;
+        } catch (_) {
+            return NaN;
+        }
+    };
+    const corners = new Float64Array((cols + 1) * (rows + 1));
+    const centres = new Float64Array(cols * rows);
+    for (let j = 0; j <= rows; j++) {
+        for (let i = 0; i <= cols; i++) corners[i + (cols + 1) * j] = at(win.xMin + i * dx, win.yMin + j * dy);
+    }
+    for (let j = 0; j < rows; j++) {
+        for (let i = 0; i < cols; i++) centres[i + cols * j] = at(win.xMin + (i + 0.5) * dx, win.yMin + (j + 0.5) * dy);
+    }
+    return { win, cols, rows, dx, dy, corners, centres, at };
+}
+
+// Segments [[x1, y1], [x2, y2]] of the curve f = c through the lattice
+function isoclineSegments(lattice, c) {
+    const { win, cols, rows, dx, dy, corners, centres } = lattice;
+    const segments = [];
+    // A level through a lattice corner can give zero-length pieces; they would only break chains
+    const push = (a, b) => { if (a[0] !== b[0] || a[1] !== b[1]) segments.push([a, b]); };
+    // Point where f = c on the edge between two corners
+    const cross = (x0, y0, v0, x1, y1, v1) => {
+        const t = (c - v0) / (v1 - v0);
+        return [x0 + t * (x1 - x0), y0 + t * (y1 - y0)];
+    };
+    for (let j = 0; j < rows; j++) {
+        for (let i = 0; i < cols; i++) {
+            const k = i + (cols + 1) * j;
+            const v = [corners[k], corners[k + 1], corners[k + cols + 2], corners[k + cols + 1]]; // bl, br, tr, tl
+            const mid = centres[i + cols * j];
+            if (!v.every(Number.isFinite) || !Number.isFinite(mid)) continue;
+            const lo = Math.min(...v), hi = Math.max(...v);
+            if (c < lo || c > hi || lo === hi) continue;
+            if (Math.abs(mid - (v[0] + v[1] + v[2] + v[3]) / 4) > (hi - lo) * 0.25) continue;
+
+            const x0 = win.xMin + i * dx, y0 = win.yMin + j * dy, x1 = x0 + dx, y1 = y0 + dy;
+            const edge = [
+                () => cross(x0, y0, v[0], x1, y0, v[1]), // bottom
+                () => cross(x1, y0, v[1], x1, y1, v[2]), // right
+                () => cross(x1, y1, v[2], x0, y1, v[3]), // top
+                () => cross(x0, y1, v[3], x0, y0, v[0])  // left
+            ];
+            const above = v.map(val => val > c);
+            const crossed = [0, 1, 2, 3].filter(e => above[e] !== above[(e + 1) % 4]);
+            if (crossed.length === 2) {
+                push(edge[crossed[0]](), edge[crossed[1]]());
+            } else if (crossed.length === 4) {
+                // Saddle: the centre decides which corners are connected
+                const pairs = (mid > c) === above[0] ? [[0, 1], [2, 3]] : [[0, 3], [1, 2]];
+                for (const [a, b] of pairs) push(edge[a](), edge[b]());
+            }
+        }
+    }
+    return segments;
+}
+
+// Chain segments that share endpoints into polylines [[x, y], ...]
+function joinSegments(segments) {
+    const key = ([x, y]) => `${x.toFixed(9)},${y.toFixed(9)}`;
+    const ends = new Map(); // endpoint key → segment indices
+    segments.forEach((s, i) => {
+        for (const p of s) {
+            const k = key(p);
+            if (!ends.has(k)) ends.set(k, []);
+            ends.get(k).push(i);
+        }
+    });
+    const used = new Uint8Array(segments.length);
+    const extend = (line) => {
+        for (;;) {
+            const tail = line[line.length - 1];
+            const next = (ends.get(key(tail)) || []).find(i => !used[i]);
+            if (next === undefined) return line;
+            used[next] = 1;
+            const [a, b] = segments[next];
+            line.push(key(a) === key(tail) ? b : a);
+        }
+    };
+    const lines = [];
+    segments.forEach((s, i) => {
+        if (used[i]) return;
+        used[i] = 1;
+        const forward = extend([s[0], s[1]]);
+        const backward = extend([s[0]]).slice(1).reverse();
+        lines.push([...backward, ...forward]);
+    });
+    return lines;
+}
+
+// --- Where f has no real value, and where it blows up ---
+// undefinedCells: indices i + cols * j of cells whose centre has no real value (sqrt(y) for y < 0,
+// log(x) for x <= 0). poleSegments: curves where |f| → ∞ (vertical tangents), found as the zero
+// set of 1/f; that changes sign across odd poles like 1/x or tan(x), so even ones like 1/x^2 are missed.
+// 1/f also changes sign where f crosses zero between samples, so a piece only counts when |f| at
+// its midpoint is larger than half a cell away on either side: it grows towards a pole and
+// shrinks towards a zero.
+function fieldSingularities(lattice) {
+    const undefinedCells = [];
+    lattice.centres.forEach((v, k) => { if (Number.isNaN(v)) undefinedCells.push(k); });
+    const recip = (v) => (Number.isNaN(v) || v === 0 ? NaN : 1 / v); // ±Infinity → 0
+    const inverse = { ...lattice, corners: lattice.corners.map(recip), centres: lattice.centres.map(recip) };
+    const reach = Math.hypot(lattice.dx, lattice.dy) / 2;
+    const blowsUp = ([[x1, y1], [x2, y2]]) => {
+        const mx = (x1 + x2) / 2, my = (y1 + y2) / 2;
+        const len = Math.hypot(x2 - x1, y2 - y1) || 1;
+        const nx = -(y2 - y1) / len * reach, ny = (x2 - x1) / len * reach;
+        const mid = Math.abs(lattice.at(mx, my));
+        if (Number.isNaN(mid)) return false;
+        return mid > Math.abs(lattice.at(mx + nx, my + ny)) && mid > Math.abs(lattice.at(mx - nx, my - ny));
+    };
+    return { undefinedCells, poleSegments: isoclineSegments(inverse, 0).filter(blowsUp) };
+}
+
+// --- Can the played equation have poles or undefined regions at all? ---
+// Sums, products, whole powers and everywhere-defined functions of x and y cannot, so a lattice is
+// only needed for them when isoclines are shown. Division, other powers and functions like tan,
+// log or sqrt might, and so does every system: its slope is the quotient y'/x'. Throws when the
+// equation does not parse.
+const EVERYWHERE_DEFINED = ['sin', 'cos', 'exp', 'abs', 'sinh', 'cosh', 'tanh', 'atan', 'asinh'];
+function mayBeSingular(equation, mode) {
+    if (mode === 'system' || mode === 'second') return true;
+    const constant = (node) => { try { return toFinite(node.evaluate()); } catch (_) { return null; } };
+    return parseParts(equation, mode).some(tree => tree.filter(node => {
+        if (node.type === 'FunctionNode') return !EVERYWHERE_DEFINED.includes(node.fn.name);
+        if (node.type !== 'OperatorNode') return false;
+        if (node.fn === 'divide') return true;
+        if (node.fn !== 'pow') return false;
+        const n = constant(node.args[1]), base = constant(node.args[0]);
+        return !(Number.isInteger(n) && n >= 0) && !(base > 0);
+    }).length > 0);
+}
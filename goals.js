@@ -0,0 +1,242 @@
+// --- Puzzle goals ---
+// Pure checks of an integrated trace against a level's targets (no DOM / canvas access).
+// A boundary target is an interval { side, from, to } in world units along one side of the box:
+// from/to are x values on 'top'/'bottom' and y values on 'left'/'right'.
+
+// World interval of a legacy half-edge index:
+// 0/1 top left/right, 2/3 bottom left/right, 4/5 left top/bottom, 6/7 right top/bottom
+function segmentInterval(box, seg) {
+    const midX = (box.xMin + box.xMax) / 2;
+    const midY = (box.yMin + box.yMax) / 2;
+    switch (seg) {
+        case 0: return { side: 'top',    from: box.xMin, to: midX };
+        case 1: return { side: 'top',    from: midX,     to: box.xMax };
+        case 2: return { side: 'bottom', from: box.xMin, to: midX };
+        case 3: return { side: 'bottom', from: midX,     to: box.xMax };
+        case 4: return { side: 'left',   from: midY,     to: box.yMax };
+        case 5: return { side: 'left',   from: box.yMin, to: midY };
+        case 6: return { side: 'right',  from: midY,     to: box.yMax };
+        case 7: return { side: 'right',  from: box.yMin, to: midY };
+    }
+    return null;
+}
+
+function exitInInterval(exit, target) {
+    if (!exit || exit.side == null || exit.side !== target.side) return false;
+    const lo = Math.min(target.from, target.to);
+    const hi = Math.max(target.from, target.to);
+    const tol = Math.max(hi - lo, 1) * 1e-9;
+    return exit.along >= lo - tol && exit.along <= hi + tol;
+}
+
+// --- True when every target is hit by a distinct exit ---
+function exitsHitTargets(exits, targets) {
+    if (targets.length > exits.length) return false;
+    const used = new Array(exits.length).fill(false);
+    const assign = (t) => {
+        if (t === targets.length) return true;
+        for (let i = 0; i < exits.length; i++) {
+            if (used[i] || !exitInInterval(exits[i], targets[t])) continue;
+            used[i] = true;
+            if (assign(t + 1)) return true;
+            used[i] = false;
+        }
+        return false;
+    };
+    return assign(0);
+}
+
+// --- Interior shapes ---
+// Checkpoints the curve must pass through:
+//   { type: 'circle', x, y, r }   { type: 'segment', x1, y1, x2, y2 }
+// Obstacles the curve must avoid:
+//   { type: 'rect', xMin, xMax, yMin, yMax }   { type: 'disc', x, y, r }
+//   { type: 'region', expr: 'x^2+y^2<1' }   (any math.js condition in x and y)
+
+// Squared distance from (px, py) to the segment (ax, ay)-(bx, by)
+function pointSegmentDist2(px, py, ax, ay, bx, by) {
+    const dx = bx - ax, dy = by - ay;
+    const len2 = dx * dx + dy * dy;
+    const t = len2 > 0 ? Math.min(Math.max(((px - ax) * dx + (py - ay) * dy) / len2, 0), 1) : 0;
+    const cx = ax + t * dx - px, cy = ay + t * dy - py;
+    return cx * cx + cy * cy;
+}
+
+function segmentsIntersect(ax, ay, bx, by, cx, cy, dx, dy) {
+    const cross = (ox, oy, px, py, qx, qy) => (px - ox) * (qy - oy) - (py - oy) * (qx - ox);
+    const d1 = cross(cx, cy, dx, dy, ax, ay);
+    const d2 = cross(cx, cy, dx, dy, bx, by);
+    const d3 = cross(ax, ay, bx, by, cx, cy);
+    const d4 = cross(ax, ay, bx, by, dx, dy);
+    if (((d1 > 0 && d2 < 0) || (d1 < 0 && d2 > 0)) && ((d3 > 0 && d4 < 0) || (d3 < 0 && d4 > 0))) return true;
+    // Collinear / touching cases
+    const onSeg = (px, py, qx, qy, rx, ry) =>
+        Math.min(px, qx) <= rx && rx <= Math.max(px, qx) && Math.min(py, qy) <= ry && ry <= Math.max(py, qy);
+    return (d1 === 0 && onSeg(cx, cy, dx, dy, ax, ay)) || (d2 === 0 && onSeg(cx, cy, dx, dy, bx, by))
+        || (d3 === 0 && onSeg(ax, ay, bx, by, cx, cy)) || (d4 === 0 && onSeg(ax, ay, bx, by, dx, dy));
+}
+
+// Liang–Barsky: does the segment touch the rectangle?
+function segmentHitsRect(ax, ay, bx, by, r) {
+    const dx = bx - ax, dy = by - ay;
+    let t0 = 0, t1 = 1;
+    const clip = (p, q) => {
+        if (p === 0) return q >= 0;
+        const t = q / p;
+        if (p < 0) { if (t > t1) return false; if (t > t0) t0 = t; }
+        else { if (t < t0) return false; if (t < t1) t1 = t; }
+        return true;
+    };
+    return clip(-dx, ax - r.xMin) && clip(dx, r.xMax - ax) && clip(-dy, ay - r.yMin) && clip(dy, r.yMax - ay);
+}
+
+const _regionCache = new Map();
+
+// Compiled predicate (x, y) => boolean for a 'region' shape; null when the expression is invalid
+function regionPredicate(expr) {
+    if (_regionCache.has(expr)) return _regionCache.get(expr);
+    let pred = null;
+    try {
+        const compiled = math.parse(expr).compile();
+        pred = (x, y) => {
+            try { return compiled.evaluate({ x, y }) === true; } catch (_) { return false; }
+        };
+    } catch (_) {}
+    _regionCache.set(expr, pred);
+    return pred;
+}
+
+// --- Does a polyline ([[x, y], ...]) touch a shape? ---
+function pathTouchesShape(path, shape) {
+    if (path.length === 0) return false;
+    if (shape.type === 'region') {
+        const inside = regionPredicate(shape.expr);
+        if (!inside) return false;
+        for (let i = 0; i < path.length; i++) {
+            const [x, y] = path[i];
+            if (inside(x, y)) return true;
+            if (i > 0 && inside((x + path[i - 1][0]) / 2, (y + path[i - 1][1]) / 2)) return true;
+        }
+        return false;
+    }
+    for (let i = 0; i < path.length; i++) {
+        const [ax, ay] = i > 0 ? path[i - 1] : path[i];
+        const [bx, by] = path[i];
+        switch (shape.type) {
+            case 'circle':
+            case 'disc':
+                if (pointSegmentDist2(shape.x, shape.y, ax, ay, bx, by) <= shape.r * shape.r) return true;
+                break;
+            case 'segment':
+                if (segmentsIntersect(ax, ay, bx, by, shape.x1, shape.y1, shape.x2, shape.y2)) return true;
+                break;
+            case 'rect':
+                if (segmentHitsRect(ax, ay, bx, by, shape)) return true;
+                break;
+        }
+    }
+    return false;
+}
+
+// --- Evaluate an integrateTrace() result against { targets, checkpoints, obstacles } ---
+// Both branches together form the solution curve. Returns per-shape flags plus the overall win.
+function evaluateGoals(goals, trace) {
+    const paths = [trace.forward.path, trace.backward.path];
+    const targetsHit = exitsHitTargets([trace.forward.exit, trace.backward.exit], goals.targets || []);
+    const checkpointsHit = (goals.checkpoints || []).map(c => paths.some(p => pathTouchesShape(p, c)));
+    const obstaclesHit = (goals.obstacles || []).map(o => paths.some(p => pathTouchesShape(p, o)));
+    const win = targetsHit && checkpointsHit.every(Boolean) && !obstaclesHit.some(Boolean);
+    const exits = [trace.forward.exit, trace.backward.exit];
+    const exitOnTarget = exits.map(e => (goals.targets || []).some(t => exitInInterval(e, t)));
+    return { win, targetsHit, checkpointsHit, obstaclesHit, exits, exitOnTarget };
+}
+
+// --- Human-readable account of what each branch did and which goals failed ---
+
+const fmtCoord = (v) => String(Math.abs(v) < 5e-3 ? 0 : +v.toFixed(2));
+
+// Did a branch that ran out of steps come back onto itself?
+function pathClosesLoop(path) {
+    if (path.length < 60) return false;
+    const [lx, ly] = path[path.length - 1];
+    const [ax, ay] = path[0], [bx, by] = path[1];
+    const tol = 2 * Math.hypot(bx - ax, by - ay);
+    for (let i = 0; i < path.length - 50; i++) {
+        if (Math.hypot(path[i][0] - lx, path[i][1] - ly) <= tol) return true;
+    }
+    return false;
+}
+
+function describeBranchEnd(name, branch, box, onTarget, hasTargets) {
+    const e = branch.exit;
+    const near = `near (${fmtCoord(e.x)}, ${fmtCoord(e.y)})`;
+    switch (e.reason) {
+        case 'boundary': {
+            const horizontal = e.side === 'top' || e.side === 'bottom';
+            const mid = horizontal ? (box.xMin + box.xMax) / 2 : (box.yMin + box.yMax) / 2;
+            const half = horizontal ? (e.along <= mid ? 'left' : 'right') : (e.along >= mid ? 'upper' : 'lower');
+            const verdict = !hasTargets ? '' : (onTarget ? ' — on target' : ' — misses the targets');
+            return `${name} branch exited through the ${half} half of the ${e.side} edge at ${horizontal ? 'x' : 'y'} = ${fmtCoord(e.along)}${verdict}.`;
+        }
+        case 'singular':
+            return `${name} branch stalled at a singularity ${near}, where the slope blows up.`;
+        case 'undefined':
+            return `${name} branch stopped ${near}, where f is undefined.`;
+        case 'equilibrium':
+            return `${name} branch came to rest at an equilibrium ${near}.`;
+        default:
+            return pathClosesLoop(branch.path)
+                ? `${name} branch hit the ${e.steps}-step limit inside a closed orbit.`
+                : `${name} branch hit the ${e.steps}-step limit without leaving the window (${near}).`;
+    }
+}
+
+function describeShape(shape) {
+    const pt = (x, y) => `(${fmtCoord(x)}, ${fmtCoord(y)})`;
+    switch (shape.type) {
+        case 'circle': return `circle at ${pt(shape.x, shape.y)}`;
+        case 'segment': return `segment from ${pt(shape.x1, shape.y1)} to ${pt(shape.x2, shape.y2)}`;
+        case 'rect': return `box ${pt(shape.xMin, shape.yMin)}–${pt(shape.xMax, shape.yMax)}`;
+        case 'disc': return `disc at ${pt(shape.x, shape.y)}`;
+        case 'region': return `region ${shape.expr}`;
+    }
+    return shape.type;
+}
+
+// Returns one sentence per branch, then one per missed checkpoint / touched obstacle
+function explainGoals(goals, trace, status, box) {
+    const hasTargets = (goals.targets || []).length > 0;
+    const lines = [
+        describeBranchEnd('Forward', trace.forward, box, status.exitOnTarget[0], hasTargets),
+        describeBranchEnd('Backward', trace.backward, box, status.exitOnTarget[1], hasTargets)
+    ];
+    if (hasTargets && status.exitOnTarget.every(Boolean) && !status.targetsHit) {
+        lines.push('Both ends land on the same target; each target needs its own end.');
+    }
+    (goals.checkpoints || []).forEach((c, i) => {
+        if (!status.checkpointsHit[i]) lines.push(`Missed checkpoint: ${describeShape(c)}.`);
+    });
+    (goals.obstacles || []).forEach((o, i) => {
+        if (status.obstaclesHit[i]) lines.push(`Crossed obstacle: ${describeShape(o)}.`);
+    });
+    return lines;
+}
+
+// --- Compact exit record for attempt logs, and a short label for it ---
+// { reason, side, along } with along rounded to 3 decimals (null when the branch stopped inside)
+function exitSummary(exit) {
+    return { reason: exit.reason, side: exit.side, along: exit.along == null ? null : +exit.along.toFixed(3) };
+}
+
+function exitLabel(summary) {
+    switch (summary.reason) {
+        case 'boundary': {
+            const axis = summary.side === 'top' || summary.side === 'bottom' ? 'x' : 'y';
+            return `${summary.side} edge at ${axis} = ${fmtCoord(summary.along)}`;
+        }
+        case 'singular': return 'singularity';
+        case 'undefined': return 'f undefined';
+        case 'equilibrium': return 'equilibrium';
+        default: return 'step limit';
+    }
+}
@@ -0,0 +1,118 @@
+// --- Background jobs: generation, solving and exit simulation off the main thread ---
+// Loaded by the page and by worker.js. Protocol (structured-clone data only):
+//   page → worker  { id, type: 'generate' | 'solve' | 'simulate', payload }
+//   worker → page  { id, kind: 'progress', progress } … then { id, kind: 'result', result }
+//                  or { id, kind: 'error', message }
+// A worker runs one job at a time and cannot be interrupted mid-job, so the runner keeps
+// its own queue and cancels a running job by terminating the worker (a fresh one is
+// started for the next job). Without Worker support the same handlers run inline.
+
+const JOB_HANDLERS = {
+    // payload: { box, traceOptions, maxAttempts, timeBudgetMs } → normalized level or null
+    generate: (payload, onProgress) => generateLevel(payload.box, { ...payload, onProgress }),
+
+    // payload: solveLevel request (see solver.js) → { expr, complexity, evaluations, timedOut }
+    solve: (payload, onProgress) => solveLevel({ ...payload, onProgress }),
+
+    // payload: { equation, mode, start, goals, box, traceOptions } → { win, exits } or { error }
+    simulate: (payload) => {
+        let f;
+        try { f = compileEquation(payload.equation, payload.mode); }
+        catch (err) { return { error: err.message }; }
+        const status = evaluateGoals(payload.goals, integrateTrace(f, payload.start, payload.box, payload.traceOptions));
+        return { win: status.win, exits: status.exits };
+    }
+};
+
+function runJob(type, payload, onProgress) {
+    const handler = JOB_HANDLERS[type];
+    if (!handler) throw new Error(`Unknown job type "${type}"`);
+    return handler(payload, onProgress || (() => {}));
+}
+
+// --- Page-side runner ---
+// run(type, payload, onProgress) → { promise, cancel }. Cancelled jobs reject with an
+// Error whose .cancelled is true so callers can ignore them.
+function createJobRunner(workerUrl) {
+    let worker = null;
+    let inline = typeof Worker === 'undefined';
+    let nextId = 1;
+    let running = null;   // job currently posted to the worker (or running inline)
+    const queue = [];
+
+    const cancelledError = () => Object.assign(new Error('Job cancelled'), { cancelled: true });
+
+    function ensureWorker() {
+        if (worker || inline) return worker;
+        try {
+            worker = new Worker(workerUrl);
+        } catch (_) {
+            inline = true; // e.g. opened from file://
+            return null;
+        }
+        worker.onmessage = (e) => {
+            const msg = e.data;
+            if (!running || msg.id !== running.id) return;
+            if (msg.kind === 'progress') { running.onProgress(msg.progress); return; }
+            const job = running;
+            running = null;
+            if (msg.kind === 'result') job.resolve(msg.result);
+            else job.reject(new Error(msg.message));
+            pump();
+        };
+        worker.onerror = (e) => {
+            // A worker that fails to load: fall back to inline and rerun whatever was in flight
+            e.preventDefault();
+            worker.terminate();
+            worker = null;
+            inline = true;
+            if (running) { queue.unshift(running); running = null; }
+            pump();
+        };
+        return worker;
+    }
+
+    function runInline(job) {
+        setTimeout(() => {
+            if (running !== job) return;
+            let result, error = null;
+            try { result = runJob(job.type, job.payload, job.onProgress); }
+            catch (err) { error = err; }
+            running = null;
+            if (error) job.reject(error); else job.resolve(result);
+            pump();
+        }, 0);
+    }
+
+    function pump() {
+        if (running || queue.length === 0) return;
+        running = queue.shift();
+        const w = ensureWorker();
+        if (w) w.postMessage({ id: running.id, type: running.type, payload: running.payload });
+        else runInline(running);
+    }
+
+    function cancel(job) {
+        const i = queue.indexOf(job);
+        if (i >= 0) {
+            queue.splice(i, 1);
+        } else if (running === job) {
+            running = null;
+            if (worker) { worker.terminate(); worker = null; }
+        } else {
+            return; // already settled
+        }
+        job.reject(cancelledError());
+        pump();
+    }
+
+    function run(type, payload, onProgress) {
+        const job = { id: nextId++, type, payload, onProgress: onProgress || (() => {}) };
+        job.promise = new Promise((resolve, reject) => { job.resolve = resolve; job.reject = reject; });
+        queue.push(job);
+        pump();
+        return { promise: job.promise, cancel: () => cancel(job) };
+    }
+
+    return { run };
+}
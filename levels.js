@@ -0,0 +1,386 @@
+// --- Level file format ---
+// Versioned JSON for single levels and level packs, plus validation with readable errors.
+// No DOM access: the page reads local files itself and hands the text to parseLevelFile.
+//
+// Level:
+// {
+//   "format": "slope-field-level", "version": 1,
+//   "id": "week3-02",                         // unique across packs; [A-Za-z0-9_-], max 64
+//   "title": "Through the gate",              // optional
+//   "mode": "slope",                          // optional: "slope" | "system" | "second" (expr.js)
+//   "world": { "xMin": -5, "xMax": 5, "yMin": -5, "yMax": 5 },   // optional, default shown
+//   "start": { "x": 0, "y": 0 },
+//   "targets": [{ "side": "top", "from": -5, "to": 0 }],         // boundary intervals (goals.js)
+//   "checkpoints": [], "obstacles": [],       // optional interior shapes (goals.js)
+//   "allowedFunctions": ["sin", "cos"],       // optional, names from expr.js (ln, |x| too); omit for all
+//   "rules": { "linear": true, "forbid": ["y"], "maxOperators": 2,   // optional, see rules.js
+//              "maxTokens": 8, "maxLength": 12 },
+//   "parSeconds": 60,                         // optional
+//   "solution": "-1",                         // optional reference solution ("f; g" for a system)
+//   "initialEquation": "0",                   // optional equation shown when the level starts
+//   "parameters": { "k": { "min": -2, "max": 2, "step": 0.1, "value": 0 } },  // optional slider ranges
+//   "lockEquation": true                      // optional: only the sliders move (needs initialEquation)
+// }
+// Pack: { "format": "slope-field-pack", "version": 1, "title": "...", "levels": [level, ...] }
+// Levels inside a pack may omit "format" and "version".
+
+const LEVEL_FORMAT_VERSION = 1;
+const LEVEL_DEFAULT_WORLD = { xMin: -5, xMax: 5, yMin: -5, yMax: 5 };
+const LEVEL_SIDES = ['top', 'bottom', 'left', 'right'];
+const CHECKPOINT_FIELDS = { circle: ['x', 'y', 'r'], segment: ['x1', 'y1', 'x2', 'y2'] };
+const OBSTACLE_FIELDS = { rect: ['xMin', 'xMax', 'yMin', 'yMax'], disc: ['x', 'y', 'r'], region: [] };
+const PARAMETER_FIELDS = ['min', 'max', 'step', 'value'];
+const PARAMETER_DEFAULTS = { min: -5, max: 5, step: 0.1, value: 1 }; // slider for a name the level does not list
+
+// The level's slider range for a parameter, or the defaults
+const levelParameterRange = (level, name) => (level && level.parameters && level.parameters[name]) || PARAMETER_DEFAULTS;
+
+const _isNum = (v) => typeof v === 'number' && Number.isFinite(v);
+const _isObj = (v) => v != null && typeof v === 'object' && !Array.isArray(v);
+
+function checkLevelVersion(data, format, where, errors) {
+    if (data.format !== format) errors.push(`${where}.format: expected "${format}"`);
+    if (!Number.isInteger(data.version)) errors.push(`${where}.version: expected an integer`);
+    else if (data.version > LEVEL_FORMAT_VERSION) {
+        errors.push(`${where}.version: ${data.version} is newer than this game supports (${LEVEL_FORMAT_VERSION})`);
+    }
+}
+
+function checkLevelShape(shape, fields, where, errors) {
+    if (!_isObj(shape)) { errors.push(`${where}: expected an object`); return; }
+    if (!(shape.type in fields)) {
+        errors.push(`${where}.type: expected one of ${Object.keys(fields).join(', ')}`);
+        return;
+    }
+    for (const key of fields[shape.type]) {
+        if (!_isNum(shape[key])) errors.push(`${where}.${key}: expected a number`);
+    }
+    if ((shape.type === 'circle' || shape.type === 'disc') && _isNum(shape.r) && shape.r <= 0) {
+        errors.push(`${where}.r: must be positive`);
+    }
+    if (shape.type === 'rect' && _isNum(shape.xMin) && _isNum(shape.xMax) && _isNum(shape.yMin) && _isNum(shape.yMax)
+        && (shape.xMin >= shape.xMax || shape.yMin >= shape.yMax)) {
+        errors.push(`${where}: xMin/yMin must be below xMax/yMax`);
+    }
+    if (shape.type === 'region') {
+        if (typeof shape.expr !== 'string' || !shape.expr.trim()) errors.push(`${where}.expr: expected an inequality string`);
+        else {
+            try { math.parse(shape.expr); }
+            catch (err) { errors.push(`${where}.expr: ${err.message}`); }
+        }
+    }
+}
+
+function checkLevelRules(rules, where, errors) {
+    if (!_isObj(rules)) { errors.push(`${where}: expected an object`); return; }
+    for (const key of Object.keys(rules)) {
+        if (!RULE_KEYS.includes(key)) errors.push(`${where}.${key}: unknown rule (expected one of ${RULE_KEYS.join(', ')})`);
+    }
+    if (rules.linear !== undefined && typeof rules.linear !== 'boolean') errors.push(`${where}.linear: expected true or false`);
+    if (rules.forbid !== undefined
+        && (!Array.isArray(rules.forbid) || !rules.forbid.every(name => typeof name === 'string' && /^[a-z]+'?$/.test(name)))) {
+        errors.push(`${where}.forbid: expected an array of symbol names such as "y"`);
+    }
+    for (const key of ['maxOperators', 'maxTokens', 'maxLength']) {
+        if (rules[key] !== undefined && (!Number.isInteger(rules[key]) || rules[key] < 0)) {
+            errors.push(`${where}.${key}: expected a whole number`);
+        }
+    }
+}
+
+// --- Validate one level; returns a list of "path: problem" strings (empty when valid) ---
+function validateLevel(data, where, inPack) {
+    const errors = [];
+    if (!_isObj(data)) return [`${where}: expected an object`];
+    if (!inPack || data.format !== undefined || data.version !== undefined) {
+        checkLevelVersion(data, 'slope-field-level', where, errors);
+    }
+    if (typeof data.id !== 'string' || !/^[A-Za-z0-9_-]{1,64}$/.test(data.id)) {
+        errors.push(`${where}.id: expected 1-64 letters, digits, "_" or "-"`);
+    }
+    if (data.title !== undefined && typeof data.title !== 'string') errors.push(`${where}.title: expected a string`);
+    if (data.mode !== undefined && !EQUATION_MODES.includes(data.mode)) {
+        errors.push(`${where}.mode: expected one of ${EQUATION_MODES.join(', ')}`);
+    }
+
+    const world = data.world === undefined ? LEVEL_DEFAULT_WORLD : data.world;
+    let worldOk = _isObj(world);
+    if (!worldOk) errors.push(`${where}.world: expected an object`);
+    else {
+        for (const key of ['xMin', 'xMax', 'yMin', 'yMax']) {
+            if (!_isNum(world[key])) { errors.push(`${where}.world.${key}: expected a number`); worldOk = false; }
+        }
+        if (worldOk && (world.xMin >= world.xMax || world.yMin >= world.yMax)) {
+            errors.push(`${where}.world: xMin/yMin must be below xMax/yMax`);
+            worldOk = false;
+        }
+    }
+
+    if (!_isObj(data.start) || !_isNum(data.start.x) || !_isNum(data.start.y)) {
+        errors.push(`${where}.start: expected { "x": number, "y": number }`);
+    } else if (worldOk && (data.start.x < world.xMin || data.start.x > world.xMax
+                        || data.start.y < world.yMin || data.start.y > world.yMax)) {
+        errors.push(`${where}.start: (${data.start.x}, ${data.start.y}) is outside the world window`);
+    }
+
+    if (!Array.isArray(data.targets) || data.targets.length === 0) {
+        errors.push(`${where}.targets: expected a non-empty array`);
+    } else {
+        if (data.targets.length > 2) errors.push(`${where}.targets: a curve has only two ends, so at most 2 targets`);
+        data.targets.forEach((t, i) => {
+            const at = `${where}.targets[${i}]`;
+            if (!_isObj(t)) { errors.push(`${at}: expected an object`); return; }
+            if (!LEVEL_SIDES.includes(t.side)) { errors.push(`${at}.side: expected one of ${LEVEL_SIDES.join(', ')}`); return; }
+            if (!_isNum(t.from) || !_isNum(t.to)) { errors.push(`${at}: from/to must be numbers`); return; }
+            if (t.from === t.to) errors.push(`${at}: from and to must differ`);
+            if (!worldOk) return;
+            const [lo, hi] = (t.side === 'top' || t.side === 'bottom') ? [world.xMin, world.xMax] : [world.yMin, world.yMax];
+            if (Math.min(t.from, t.to) < lo || Math.max(t.from, t.to) > hi) {
+                errors.push(`${at}: interval lies outside the ${t.side} edge [${lo}, ${hi}]`);
+            }
+        });
+    }
+
+    for (const [key, fields] of [['checkpoints', CHECKPOINT_FIELDS], ['obstacles', OBSTACLE_FIELDS]]) {
+        if (data[key] === undefined) continue;
+        if (!Array.isArray(data[key])) { errors.push(`${where}.${key}: expected an array`); continue; }
+        data[key].forEach((shape, i) => checkLevelShape(shape, fields, `${where}.${key}[${i}]`, errors));
+    }
+
+    if (data.allowedFunctions !== undefined) {
+        if (!Array.isArray(data.allowedFunctions) || !data.allowedFunctions.every(fn => typeof fn === 'string')) {
+            errors.push(`${where}.allowedFunctions: expected an array of function names`);
+        } else {
+            const unknown = data.allowedFunctions.filter(fn => !isEquationFunction(fn));
+            if (unknown.length) errors.push(`${where}.allowedFunctions: unknown function names ${unknown.map(fn => `"${fn}"`).join(', ')}`);
+        }
+    }
+    if (data.rules !== undefined) checkLevelRules(data.rules, `${where}.rules`, errors);
+    if (data.parSeconds !== undefined && (!_isNum(data.parSeconds) || data.parSeconds <= 0)) {
+        errors.push(`${where}.parSeconds: expected a positive number`);
+    }
+    for (const key of ['solution', 'initialEquation']) {
+        if (data[key] === undefined) continue;
+        if (typeof data[key] !== 'string') { errors.push(`${where}.${key}: expected a string`); continue; }
+        try { compileEquation(data[key], EQUATION_MODES.includes(data.mode) ? data.mode : 'slope'); }
+        catch (err) { errors.push(`${where}.${key}: ${err.message}`); }
+    }
+    if (data.parameters !== undefined) {
+        if (!_isObj(data.parameters)) errors.push(`${where}.parameters: expected an object of slider ranges`);
+        else {
+            for (const [name, range] of Object.entries(data.parameters)) {
+                const at = `${where}.parameters.${name}`;
+                if (!isParameterName(name)) {
+                    errors.push(`${at}: expected one letter other than x, y and e`);
+                    continue;
+                }
+                if (!_isObj(range)) { errors.push(`${at}: expected an object`); continue; }
+                const missing = PARAMETER_FIELDS.filter(key => !_isNum(range[key]));
+                if (missing.length) { errors.push(`${at}.${missing[0]}: expected a number`); continue; }
+                if (range.min >= range.max) errors.push(`${at}: min must be below max`);
+                if (range.step <= 0) errors.push(`${at}.step: must be positive`);
+                if (range.value < range.min || range.value > range.max) errors.push(`${at}.value: outside [min, max]`);
+            }
+        }
+    }
+    if (data.lockEquation !== undefined) {
+        if (typeof data.lockEquation !== 'boolean') errors.push(`${where}.lockEquation: expected true or false`);
+        else if (data.lockEquation && typeof data.initialEquation !== 'string') {
+            errors.push(`${where}.lockEquation: a locked equation needs an initialEquation`);
+        }
+    }
+    return errors;
+}
+
+function _copyRules(rules) {
+    return { ...rules, ...(rules.forbid ? { forbid: rules.forbid.slice() } : {}) };
+}
+
+function _copyParameters(parameters) {
+    return Object.fromEntries(Object.entries(parameters).map(([name, range]) => [name, { ...range }]));
+}
+
+// --- Fill in defaults for a validated level (the in-game representation) ---
+function normalizeLevel(data) {
+    return {
+        id: data.id,
+        title: data.title || '',
+        mode: data.mode || 'slope',
+        world: { ...(data.world || LEVEL_DEFAULT_WORLD) },
+        start: { x: data.start.x, y: data.start.y },
+        targets: data.targets.map(t => ({ side: t.side, from: t.from, to: t.to })),
+        checkpoints: (data.checkpoints || []).map(c => ({ ...c })),
+        obstacles: (data.obstacles || []).map(o => ({ ...o })),
+        allowedFunctions: data.allowedFunctions ? [...new Set(data.allowedFunctions.map(canonicalFunctionName))] : null,
+        rules: data.rules ? _copyRules(data.rules) : null,
+        parSeconds: data.parSeconds ?? null,
+        solution: data.solution ?? null,
+        initialEquation: data.initialEquation ?? null,
+        parameters: data.parameters ? _copyParameters(data.parameters) : null,
+        lockEquation: data.lockEquation === true
+    };
+}
+
+// --- Parse the text of a level or pack file ---
+// Returns { title, levels, errors }; levels is empty whenever errors is not.
+function parseLevelFile(text) {
+    let data;
+    try { data = JSON.parse(text); }
+    catch (err) { return { title: '', levels: [], errors: [`Not valid JSON: ${err.message}`] }; }
+    if (!_isObj(data)) return { title: '', levels: [], errors: ['Expected a level or pack object'] };
+
+    if (data.format !== 'slope-field-pack') {
+        const errors = validateLevel(data, 'level', false);
+        return errors.length ? { title: '', levels: [], errors }
+                             : { title: data.title || data.id, levels: [normalizeLevel(data)], errors };
+    }
+
+    const errors = [];
+    checkLevelVersion(data, 'slope-field-pack', 'pack', errors);
+    if (data.title !== undefined && typeof data.title !== 'string') errors.push('pack.title: expected a string');
+    if (!Array.isArray(data.levels) || data.levels.length === 0) {
+        errors.push('pack.levels: expected a non-empty array');
+        return { title: '', levels: [], errors };
+    }
+    const seen = new Set();
+    data.levels.forEach((lvl, i) => {
+        errors.push(...validateLevel(lvl, `levels[${i}]`, true));
+        if (_isObj(lvl) && typeof lvl.id === 'string') {
+            if (seen.has(lvl.id)) errors.push(`levels[${i}].id: duplicate id "${lvl.id}"`);
+            seen.add(lvl.id);
+        }
+    });
+    if (errors.length) return { title: '', levels: [], errors };
+    return { title: data.title || 'Level pack', levels: data.levels.map(normalizeLevel), errors };
+}
+
+// --- Fetch and parse a level or pack from a URL ---
+async function fetchLevelFile(url) {
+    let text;
+    try {
+        const res = await fetch(url);
+        if (!res.ok) return { title: '', levels: [], errors: [`Could not load ${url}: HTTP ${res.status}`] };
+        text = await res.text();
+    } catch (err) {
+        return { title: '', levels: [], errors: [`Could not load ${url}: ${err.message}`] };
+    }
+    return parseLevelFile(text);
+}
+
+// --- Does the level's reference solution actually solve it? Returns an error string or null ---
+function checkLevelSolution(level, options) {
+    if (!level.solution) return null;
+    let f;
+    try { f = compileEquation(level.solution, level.mode); }
+    catch (err) { return `solution: ${err.message}`; }
+    const broken = checkEquationRules(level.solution, level);
+    if (broken) return `solution breaks the level's rules: ${broken}`;
+    const trace = integrateTrace(f, level.start, level.world, options);
+    return evaluateGoals(level, trace).win ? null : `solution "${level.solution}" does not solve the level`;
+}
+
+// --- Serialize in-game levels back to the file format ---
+function levelToJSON(level, inPack) {
+    const out = inPack ? {} : { format: 'slope-field-level', version: LEVEL_FORMAT_VERSION };
+    out.id = level.id;
+    if (level.title) out.title = level.title;
+    if (level.mode && level.mode !== 'slope') out.mode = level.mode;
+    out.world = { ...level.world };
+    out.start = { ...level.start };
+    out.targets = level.targets.map(t => ({ ...t }));
+    if (level.checkpoints && level.checkpoints.length) out.checkpoints = level.checkpoints.map(c => ({ ...c }));
+    if (level.obstacles && level.obstacles.length) out.obstacles = level.obstacles.map(o => ({ ...o }));
+    if (level.allowedFunctions) out.allowedFunctions = level.allowedFunctions.slice();
+    if (level.rules) out.rules = _copyRules(level.rules);
+    if (level.parSeconds != null) out.parSeconds = level.parSeconds;
+    if (level.solution != null) out.solution = level.solution;
+    if (level.initialEquation != null) out.initialEquation = level.initialEquation;
+    if (level.parameters) out.parameters = _copyParameters(level.parameters);
+    if (level.lockEquation) out.lockEquation = true;
+    return out;
+}
+
+function serializeLevel(level) {
+    return JSON.stringify(levelToJSON(level, false), null, 2);
+}
+
+function serializeLevelPack(title, levels) {
+    return JSON.stringify({
+        format: 'slope-field-pack',
+        version: LEVEL_FORMAT_VERSION,
+        title,
+        levels: levels.map(l => levelToJSON(l, true))
+    }, null, 2);
+}
+
+// --- Puzzle codes: a level squeezed into a URL-safe string for sharing ---
+// "<version>.<base64url JSON>" where the JSON is
+//   [id, startX, startY, [[side letter, from, to], ...], initialEquation, world?, extras?]
+// world is omitted when it is the default; extras holds title, mode (unless 'slope'), checkpoints,
+// obstacles, allowedFunctions, rules, parSeconds, parameters and lockEquation when set. The solution is never included.
+const PUZZLE_SIDE_LETTERS = { top: 't', bottom: 'b', left: 'l', right: 'r' };
+
+function _base64url(text) {
+    const bytes = new TextEncoder().encode(text);
+    let bin = '';
+    for (const b of bytes) bin += String.fromCharCode(b);
+    return btoa(bin).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function _unbase64url(code) {
+    const bin = atob(code.replace(/-/g, '+').replace(/_/g, '/'));
+    return new TextDecoder().decode(Uint8Array.from(bin, c => c.charCodeAt(0)));
+}
+
+function encodePuzzleCode(level, initialEquation) {
+    const w = level.world;
+    const isDefaultWorld = Object.keys(LEVEL_DEFAULT_WORLD).every(k => w[k] === LEVEL_DEFAULT_WORLD[k]);
+    const extras = {};
+    if (level.title) extras.title = level.title;
+    if (level.mode && level.mode !== 'slope') extras.mode = level.mode;
+    if (level.checkpoints && level.checkpoints.length) extras.checkpoints = level.checkpoints;
+    if (level.obstacles && level.obstacles.length) extras.obstacles = level.obstacles;
+    if (level.allowedFunctions) extras.allowedFunctions = level.allowedFunctions;
+    if (level.rules) extras.rules = level.rules;
+    if (level.parSeconds != null) extras.parSeconds = level.parSeconds;
+    if (level.parameters) extras.parameters = level.parameters;
+    if (level.lockEquation) extras.lockEquation = true;
+
+    const payload = [
+        level.id, level.start.x, level.start.y,
+        level.targets.map(t => [PUZZLE_SIDE_LETTERS[t.side], t.from, t.to]),
+        initialEquation != null ? initialEquation : level.initialEquation
+    ];
+    const hasExtras = Object.keys(extras).length > 0;
+    if (!isDefaultWorld || hasExtras) payload.push(isDefaultWorld ? 0 : [w.xMin, w.xMax, w.yMin, w.yMax]);
+    if (hasExtras) payload.push(extras);
+    return `${LEVEL_FORMAT_VERSION}.${_base64url(JSON.stringify(payload))}`;
+}
+
+// Returns { level, errors } like parseLevelFile; level is normalized, or null when errors is non-empty
+function decodePuzzleCode(code) {
+    const m = /^(\d+)\.([A-Za-z0-9_-]+)$/.exec((code || '').trim());
+    if (!m) return { level: null, errors: ['puzzle code: not a puzzle code'] };
+    if (+m[1] > LEVEL_FORMAT_VERSION) {
+        return { level: null, errors: [`puzzle code: version ${m[1]} is newer than this game supports (${LEVEL_FORMAT_VERSION})`] };
+    }
+    let payload;
+    try { payload = JSON.parse(_unbase64url(m[2])); }
+    catch (_) { return { level: null, errors: ['puzzle code: damaged or incomplete'] }; }
+    if (!Array.isArray(payload) || payload.length < 5 || !Array.isArray(payload[3])) {
+        return { level: null, errors: ['puzzle code: damaged or incomplete'] };
+    }
+
+    const [id, x, y, targets, initialEquation, world, extras] = payload;
+    const sides = Object.fromEntries(Object.entries(PUZZLE_SIDE_LETTERS).map(([side, letter]) => [letter, side]));
+    const data = {
+        ...(_isObj(extras) ? extras : {}),
+        format: 'slope-field-level', version: +m[1], id,
+        start: { x, y },
+        targets: targets.map(t => (Array.isArray(t) ? { side: sides[t[0]], from: t[1], to: t[2] } : t))
+    };
+    if (initialEquation != null) data.initialEquation = initialEquation;
+    if (Array.isArray(world)) data.world = { xMin: world[0], xMax: world[1], yMin: world[2], yMax: world[3] };
+    const errors = validateLevel(data, 'puzzle code', false);
+    return { level: errors.length ? null : normalizeLevel(data), errors };
+}
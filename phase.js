@@ -0,0 +1,180 @@
+// --- Equilibria and their linear stability ---
+// Pure (no DOM). For a system (f.vector, see vectorField in expr.js): zeros of the velocity in a
+// window, found by Newton's method from a grid of seeds and classified from a central-difference
+// Jacobian. For an autonomous y' = f(y): the rest levels y* where f vanishes, classified by which
+// way f points on either side of them, as on a phase line.
+
+const EQUILIBRIUM_SEEDS = 12;        // Newton seeds per side of the window
+const EQUILIBRIUM_NEWTON_STEPS = 40;
+const REST_LEVEL_SAMPLES = 400;      // y samples when scanning f(y) for zeros
+
+const EQUILIBRIUM_LABELS = {
+    'stable-node': 'stable node',
+    'unstable-node': 'unstable node',
+    'saddle': 'saddle',
+    'stable-spiral': 'stable spiral',
+    'unstable-spiral': 'unstable spiral',
+    'center': 'center',
+    'degenerate': 'degenerate',
+    // phase line of y' = f(y)
+    'stable': 'stable',
+    'unstable': 'unstable',
+    'semi-stable': 'semi-stable',
+    'boundary': 'edge of the domain'
+};
+
+// Velocity at (x, y) when both components are finite, else null
+function finiteVelocity(f, x, y) {
+    try {
+        const v = f.vector(x, y);
+        return v.every(Number.isFinite) ? v : null;
+    } catch (_) {
+        return null;
+    }
+}
+
+// --- Jacobian [[∂x'/∂x, ∂x'/∂y], [∂y'/∂x, ∂y'/∂y]] by central differences, or null ---
+function jacobianAt(f, x, y, h) {
+    const px = finiteVelocity(f, x + h, y), mx = finiteVelocity(f, x - h, y);
+    const py = finiteVelocity(f, x, y + h), my = finiteVelocity(f, x, y - h);
+    if (!px || !mx || !py || !my) return null;
+    return [
+        [(px[0] - mx[0]) / (2 * h), (py[0] - my[0]) / (2 * h)],
+        [(px[1] - mx[1]) / (2 * h), (py[1] - my[1]) / (2 * h)]
+    ];
+}
+
+// --- Kind of a hyperbolic (or not) equilibrium from its Jacobian's trace and determinant ---
+function classifyJacobian(J) {
+    const [[a, b], [c, d]] = J;
+    const scale = Math.abs(a) + Math.abs(b) + Math.abs(c) + Math.abs(d);
+    const tol = 1e-5 * Math.max(scale, 1e-12); // difference quotients are good to about this
+    const tr = a + d, det = a * d - b * c;
+    if (Math.abs(det) <= tol * scale) return 'degenerate';
+    if (det < 0) return 'saddle';
+    const disc = tr * tr - 4 * det;
+    if (disc >= 0) return tr < 0 ? 'stable-node' : 'unstable-node';
+    if (Math.abs(tr) <= tol) return 'center';
+    return tr < 0 ? 'stable-spiral' : 'unstable-spiral';
+}
+
+// --- Equilibria of a system inside win ---
+// Returns [{ x, y, kind, trace, det }], one per distinct point.
+function findEquilibria(f, win) {
+    const span = Math.max(win.xMax - win.xMin, win.yMax - win.yMin);
+    const h = span * 1e-5;
+    const inside = (x, y) => x >= win.xMin && x <= win.xMax && y >= win.yMin && y <= win.yMax;
+    const found = [];
+    for (let i = 0; i < EQUILIBRIUM_SEEDS; i++) {
+        for (let j = 0; j < EQUILIBRIUM_SEEDS; j++) {
+            let x = win.xMin + (i + 0.5) * (win.xMax - win.xMin) / EQUILIBRIUM_SEEDS;
+            let y = win.yMin + (j + 0.5) * (win.yMax - win.yMin) / EQUILIBRIUM_SEEDS;
+            let converged = false;
+            for (let k = 0; k < EQUILIBRIUM_NEWTON_STEPS; k++) {
+                const v = finiteVelocity(f, x, y);
+                const J = v && jacobianAt(f, x, y, h);
+                if (!J) break;
+                const det = J[0][0] * J[1][1] - J[0][1] * J[1][0];
+                if (det === 0) break;
+                const dx = (-v[0] * J[1][1] + v[1] * J[0][1]) / det;
+                const dy = (-v[1] * J[0][0] + v[0] * J[1][0]) / det;
+                x += dx; y += dy;
+                if (!Number.isFinite(x) || !Number.isFinite(y) || Math.hypot(x, y) > 1e3 * span) break;
+                if (Math.hypot(dx, dy) < span * 1e-10) { converged = true; break; }
+            }
+            if (!converged || !inside(x, y)) continue;
+            const v = finiteVelocity(f, x, y);
+            if (!v || Math.hypot(v[0], v[1]) > 1e-7) continue;
+            if (found.some(p => Math.hypot(p.x - x, p.y - y) < span * 1e-4)) continue;
+            const J = jacobianAt(f, x, y, h);
+            if (!J) continue;
+            found.push({
+                x, y,
+                kind: classifyJacobian(J),
+                trace: J[0][0] + J[1][1],
+                det: J[0][0] * J[1][1] - J[0][1] * J[1][0]
+            });
+        }
+    }
+    return found.sort((p, q) => p.x - q.x || p.y - q.y);
+}
+
+// --- Does the slope field ignore x over win (y' = f(y))? Undefined points must match too ---
+function isAutonomous(f, win) {
+    const value = (x, y) => {
+        try { return toFinite(f(x, y)); } catch (_) { return null; }
+    };
+    let finite = 0;
+    for (let j = 0; j < 7; j++) {
+        const y = win.yMin + (j + 0.37) * (win.yMax - win.yMin) / 7;
+        const ref = value(win.xMin + 0.13 * (win.xMax - win.xMin), y);
+        for (let i = 1; i < 5; i++) {
+            const v = value(win.xMin + (0.13 + 0.2 * i) * (win.xMax - win.xMin), y);
+            if ((v === null) !== (ref === null)) return false;
+            if (v !== null && Math.abs(v - ref) > 1e-9 * Math.max(1, Math.abs(ref))) return false;
+        }
+        if (ref !== null) finite++;
+    }
+    return finite > 0;
+}
+
+// --- Rest levels y* of an autonomous y' = f(y) between win.yMin and win.yMax ---
+// Sign changes are bisected (a pole, where |f| grows instead, is dropped) and touching zeros are
+// refined from sampled minima of |f|. Each level is classified from f just below and above it, or
+// is a 'boundary' when f is undefined on one of those sides.
+// Returns [{ y, kind: 'stable' | 'unstable' | 'semi-stable' | 'boundary' }].
+function findRestLevels(f, win) {
+    const x = (win.xMin + win.xMax) / 2;
+    const g = (y) => {
+        try { return toFinite(f(x, y)); } catch (_) { return null; }
+    };
+    const n = REST_LEVEL_SAMPLES;
+    const dy = (win.yMax - win.yMin) / n;
+    const ys = Array.from({ length: n + 1 }, (_, i) => win.yMin + i * dy);
+    const gs = ys.map(g);
+    const finite = gs.filter(v => v !== null).map(Math.abs).sort((a, b) => a - b);
+    const tiny = 1e-9 * Math.max(quantile(finite, 0.5) || 0, 1);
+    const roots = [];
+
+    for (let i = 0; i <= n; i++) {
+        const [a, b] = [gs[i], gs[i + 1]];
+        if (a === null) continue;
+        if (a === 0) { roots.push(ys[i]); continue; }
+        if (i < n && b !== null && b !== 0 && Math.sign(a) !== Math.sign(b)) {
+            let lo = ys[i], hi = ys[i + 1], glo = a;
+            for (let k = 0; k < 60; k++) {
+                const mid = (lo + hi) / 2, gm = g(mid);
+                if (gm === null) break;
+                if (Math.sign(gm) === Math.sign(glo)) { lo = mid; glo = gm; } else hi = mid;
+            }
+            const y = (lo + hi) / 2, gy = g(y);
+            if (gy !== null && Math.abs(gy) <= Math.max(Math.abs(a), Math.abs(b))) roots.push(y);
+            continue;
+        }
+        // A zero f only touches, like y^2 at 0: a sampled minimum of |f| that refines to ~0
+        if (i > 0 && i < n && b !== null && gs[i - 1] !== null
+            && Math.abs(a) < Math.abs(gs[i - 1]) && Math.abs(a) <= Math.abs(b)) {
+            let lo = ys[i - 1], hi = ys[i + 1];
+            for (let k = 0; k < 80; k++) {
+                const m1 = lo + (hi - lo) / 3, m2 = hi - (hi - lo) / 3;
+                const [g1, g2] = [g(m1), g(m2)];
+                if (g1 === null || g2 === null) break;
+                if (Math.abs(g1) < Math.abs(g2)) hi = m2; else lo = m1;
+            }
+            const y = (lo + hi) / 2, gy = g(y);
+            if (gy !== null && Math.abs(gy) <= tiny) roots.push(y);
+        }
+    }
+
+    const levels = [];
+    for (const y of roots.sort((p, q) => p - q)) {
+        if (levels.length && y - levels[levels.length - 1].y < dy / 2) continue;
+        const below = g(y - dy / 4), above = g(y + dy / 4);
+        let kind = 'semi-stable';
+        if (below === null || above === null) kind = 'boundary'; // f is undefined on one side, like sqrt(y) at 0
+        else if (below > 0 && above < 0) kind = 'stable';
+        else if (below < 0 && above > 0) kind = 'unstable';
+        levels.push({ y, kind });
+    }
+    return levels;
+}
@@ -0,0 +1,47 @@
+// --- Local player profile ---
+// A display name plus a generated id, kept in localStorage and attached to every completion.
+// The id is what ties a player's rows together; the name is only for display and can change.
+
+const PROFILE_STORAGE_KEY = 'sfg-profile';
+const PROFILE_NAME_MAX = 32;
+
+function generatePlayerId() {
+    if (typeof crypto !== 'undefined' && crypto.randomUUID) return crypto.randomUUID();
+    const hex = () => Math.floor(Math.random() * 0x10000).toString(16).padStart(4, '0');
+    return `${hex()}${hex()}-${hex()}-${hex()}-${hex()}-${hex()}${hex()}${hex()}`;
+}
+
+// Trimmed, control characters removed, at most PROFILE_NAME_MAX; null when nothing is left
+function cleanProfileName(name) {
+    const cleaned = String(name || '').replace(/[\u0000-\u001f\u007f]/g, '').trim().slice(0, PROFILE_NAME_MAX);
+    return cleaned || null;
+}
+
+function saveProfile(profile) {
+    try { localStorage.setItem(PROFILE_STORAGE_KEY, JSON.stringify(profile)); }
+    catch (_) {} // without storage the profile lasts for this page load only
+}
+
+// { id, name }; creates and saves a new profile on first use
+function loadProfile() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(PROFILE_STORAGE_KEY));
+        if (saved && typeof saved.id === 'string' && saved.id) {
+            return { id: saved.id, name: cleanProfileName(saved.name) || `Player ${saved.id.slice(0, 4)}` };
+        }
+    } catch (_) {}
+    const id = generatePlayerId();
+    const profile = { id, name: `Player ${id.slice(0, 4)}` };
+    saveProfile(profile);
+    return profile;
+}
+
+// --- Personal results on one level from the local history ---
+// Returns { best, runs } with best the fastest unassisted elapsedMs (null when never solved
+// without Solve), runs newest first.
+function personalResults(history, playerId) {
+    const runs = history.filter(r => r.playerId === playerId).sort((a, b) => (a.at < b.at ? 1 : -1));
+    const counted = runs.filter(r => !r.assisted);
+    const best = counted.length ? Math.min(...counted.map(r => r.elapsedMs)) : null;
+    return { best, runs };
+}
@@ -0,0 +1,74 @@
+// --- Random puzzle generation ---
+// Pure (no DOM): runs inside the solver worker, or inline when workers are unavailable.
+// Deterministic for a given seed: every choice comes from createRng(seed) and the solver is
+// bounded by evaluations rather than wall time, so slow devices generate the same level.
+
+// Integer grid points for start positions: [-4, 4] x [-4, 4]
+const GRID_COORDS = [-4, -3, -2, -1, 0, 1, 2, 3, 4];
+
+const GENERATE_DEFAULTS = {
+    maxAttempts: 200,
+    maxEvaluations: 300   // solver budget per attempt
+};
+
+// Both halves of the left (4, 5) or right (6, 7) edge: a graph y(x) cannot leave one side twice
+function isUnwinnablePair(a, b) {
+    const s = [a, b].sort().join(',');
+    return s === '4,5' || s === '6,7';
+}
+
+// --- Does the equation string solve the level from its start? ---
+function equationSolves(eq, level, traceOptions) {
+    let f;
+    try { f = compileEquation(eq, level.mode); } catch (_) { return false; }
+    return evaluateGoals(level, integrateTrace(f, level.start, level.world, traceOptions)).win;
+}
+
+// Plain starting equations per mode: constant slopes, straight-line flows, free motion and springs
+const INITIAL_EQUATIONS = {
+    slope: ['-1', '0', '1'],
+    system: ['1; 0', '-1; 0', '0; 1', '0; -1'],
+    second: ['0', '-y', "-y'"]
+};
+
+// --- Starting equation for the level's mode that doesn't already solve it ---
+function pickInitialEquation(level, traceOptions, rng) {
+    const startEqs = rngShuffle(rng, INITIAL_EQUATIONS[level.mode] || INITIAL_EQUATIONS.slope);
+    return startEqs.find(eq => !equationSolves(eq, level, traceOptions)) || startEqs[0];
+}
+
+// --- Two distinct half-edges (segmentInterval numbering) that a graph y(x) can join ---
+function randomSegmentPair(rng) {
+    const segA = rngInt(rng, 8);
+    let segB;
+    do { segB = rngInt(rng, 8); }
+    while (segB === segA || isUnwinnablePair(segA, segB));
+    return [segA, segB];
+}
+
+// --- Random solvable level on box: grid start + two half-edge targets ---
+// opts: { seed, traceOptions, maxAttempts, maxEvaluations, onProgress }. Returns a normalized
+// level (solution and initialEquation filled in) with an x_y_lo_hi id, or null if every attempt failed.
+function generateLevel(box, opts) {
+    const o = { ...GENERATE_DEFAULTS, ...(opts || {}) };
+    const rng = createRng(o.seed != null ? o.seed : randomSeed());
+    for (let attempts = 0; attempts < o.maxAttempts; attempts++) {
+        if (o.onProgress) o.onProgress({ attempts, fraction: attempts / o.maxAttempts });
+        const rx = rngPick(rng, GRID_COORDS);
+        const ry = rngPick(rng, GRID_COORDS);
+        const [segA, segB] = randomSegmentPair(rng);
+
+        const goals = { targets: [segmentInterval(box, segA), segmentInterval(box, segB)], checkpoints: [], obstacles: [] };
+        const { expr } = solveLevel({
+            start: { x: rx, y: ry }, goals, box,
+            traceOptions: o.traceOptions, timeBudgetMs: Infinity, maxEvaluations: o.maxEvaluations
+        });
+        if (expr !== null) {
+            const [lo, hi] = [Math.min(segA, segB), Math.max(segA, segB)];
+            const level = normalizeLevel({ id: `${rx}_${ry}_${lo}_${hi}`, world: box, start: { x: rx, y: ry }, ...goals, solution: expr });
+            level.initialEquation = pickInitialEquation(level, o.traceOptions, rng);
+            return level;
+        }
+    }
+    return null;
+}
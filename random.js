@@ -0,0 +1,48 @@
+// --- Seedable randomness ---
+// Everything that picks a puzzle draws from one of these generators, so a seed always
+// produces the same level on every page load and in the worker.
+
+// mulberry32: small, fast, good enough for puzzle picking. Returns () => [0, 1).
+function createRng(seed) {
+    let a = seed >>> 0;
+    return function () {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// 32-bit FNV-1a of a string, for seeds derived from level ids
+function hashSeed(str) {
+    let h = 0x811C9DC5;
+    for (let i = 0; i < str.length; i++) {
+        h ^= str.charCodeAt(i);
+        h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+}
+
+// Fresh unpredictable seed (the only place Math.random is still used)
+function randomSeed() {
+    return Math.floor(Math.random() * 4294967296) >>> 0;
+}
+
+function rngInt(rng, n) {
+    return Math.floor(rng() * n);
+}
+
+function rngPick(rng, items) {
+    return items[rngInt(rng, items.length)];
+}
+
+// Fisher–Yates on a copy
+function rngShuffle(rng, items) {
+    const out = items.slice();
+    for (let i = out.length - 1; i > 0; i--) {
+        const j = rngInt(rng, i + 1);
+        [out[i], out[j]] = [out[j], out[i]];
+    }
+    return out;
+}
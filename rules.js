@@ -0,0 +1,145 @@
+// --- Equation rules ---
+// Restrictions a level can put on what the player types, each checked on the math.js AST before
+// the equation is drawn. Pure (no DOM). A level's rules (levels.js) look like
+//   { "linear": true, "forbid": ["y"], "maxOperators": 2, "maxLength": 12, "maxTokens": 8 }
+// and allowedFunctions ("only sin/cos") is checked alongside them. Rules are checked on the
+// equation as typed, so a parameter counts as one symbol whatever its slider says.
+
+const RULE_KEYS = ['linear', 'forbid', 'maxOperators', 'maxLength', 'maxTokens'];
+
+// The parsed halves of an equation ("f; g" has two)
+function equationTrees(equation) {
+    return parseParts(equation || '0', (equation || '').includes(';') ? 'system' : 'slope');
+}
+
+// --- Tokens: numbers, symbols, operators (written or implied, as in 2x) and function calls ---
+function equationTokens(equation) {
+    let n = 0;
+    for (const tree of equationTrees(equation)) {
+        tree.traverse((node, path) => {
+            if (path === 'fn') return; // a function's name is counted with its call
+            if (['ConstantNode', 'SymbolNode', 'OperatorNode', 'FunctionNode'].includes(node.type)) n++;
+        });
+    }
+    return n;
+}
+
+// --- Operators the player typed: an implied product (2x, 3 sin x) is not one ---
+function equationOperators(equation) {
+    let n = 0;
+    for (const tree of equationTrees(equation)) {
+        tree.traverse(node => { if (node.type === 'OperatorNode' && !node.implicit) n++; });
+    }
+    return n;
+}
+
+// Characters other than whitespace
+const equationLength = (equation) => (equation || '').replace(/\s+/g, '').length;
+
+// --- Degree of a node as a polynomial in the variables (Infinity when it is not one) ---
+function polynomialDegree(node) {
+    switch (node.type) {
+        case 'ConstantNode': return 0;
+        case 'SymbolNode': return EQUATION_VARIABLES.includes(node.name) ? 1 : 0;
+        case 'ParenthesisNode': return polynomialDegree(node.content);
+        case 'FunctionNode':
+            return node.args.every(arg => polynomialDegree(arg) === 0) ? 0 : Infinity;
+        case 'OperatorNode': {
+            const [a, b] = node.args.map(polynomialDegree);
+            switch (node.fn) {
+                case 'unaryMinus': case 'unaryPlus': return a;
+                case 'add': case 'subtract': return Math.max(a, b);
+                case 'multiply': return a + b;
+                case 'divide': return b === 0 ? a : Infinity;
+                case 'pow': {
+                    if (a === 0 && b === 0) return 0;
+                    if (b !== 0) return Infinity;
+                    let n;
+                    try { n = node.args[1].evaluate(); } catch (_) { return Infinity; }
+                    return Number.isInteger(n) && n >= 0 ? a * n : Infinity;
+                }
+                default: return Infinity;
+            }
+        }
+        default: return Infinity;
+    }
+}
+
+// Symbol names of a rule's forbid list: y' is written the way the player types it
+const forbiddenName = (name) => (name === "y'" ? 'yp' : name);
+
+// --- First rule of the level the equation breaks, as a message for the player, or null ---
+// Throws when the equation does not parse.
+function checkEquationRules(equation, level) {
+    const rules = (level && level.rules) || {};
+    const allowed = level && level.allowedFunctions && level.allowedFunctions.map(canonicalFunctionName);
+    const trees = equationTrees(equation);
+    if (allowed) {
+        const banned = new Set();
+        for (const tree of trees) {
+            tree.traverse(node => {
+                if (node.type === 'FunctionNode' && !allowed.includes(node.fn.name)) banned.add(node.fn.name);
+            });
+        }
+        if (banned.size) {
+            return `This level does not allow ${[...banned].map(functionLabel).join(', ')} (allowed: ${allowed.map(functionLabel).join(', ') || 'no functions'}).`;
+        }
+    }
+    if (rules.forbid && rules.forbid.length) {
+        const names = rules.forbid.map(forbiddenName);
+        const used = new Set();
+        for (const tree of trees) {
+            tree.traverse((node, path) => {
+                if (node.type === 'SymbolNode' && path !== 'fn' && names.includes(node.name)) used.add(node.name);
+            });
+        }
+        if (used.size) return `This level does not allow ${[...used].map(n => (n === 'yp' ? "y'" : n)).join(', ')}.`;
+    }
+    if (rules.linear && trees.some(tree => polynomialDegree(tree) > 1)) {
+        return 'Only linear equations are allowed on this level (like 2x - y + 1).';
+    }
+    const budgets = [
+        ['maxOperators', 'operators', equationOperators],
+        ['maxTokens', 'tokens', equationTokens],
+        ['maxLength', 'characters', equationLength]
+    ];
+    for (const [key, what, measure] of budgets) {
+        if (rules[key] == null) continue;
+        const used = measure(equation);
+        if (used > rules[key]) return `At most ${rules[key]} ${what} on this level (yours has ${used}).`;
+    }
+    return null;
+}
+
+// --- Short descriptions of a level's restrictions, for the rules line under the equation ---
+function describeLevelRules(level) {
+    const rules = (level && level.rules) || {};
+    const out = [];
+    if (level && level.allowedFunctions) {
+        out.push(`only ${level.allowedFunctions.map(fn => functionLabel(canonicalFunctionName(fn))).join(', ') || 'no functions'}`);
+    }
+    if (rules.linear) out.push('linear only');
+    if (rules.forbid && rules.forbid.length) out.push(`no ${rules.forbid.join(', ')}`);
+    if (rules.maxOperators != null) out.push(`≤ ${rules.maxOperators} operators`);
+    if (rules.maxTokens != null) out.push(`≤ ${rules.maxTokens} tokens`);
+    if (rules.maxLength != null) out.push(`≤ ${rules.maxLength} characters`);
+    return out;
+}
+
+// --- Points for a completion: shorter equations and faster times score more; Solve scores none ---
+const SCORE_POINTS = { base: 1000, perToken: 25, perSecond: 2, min: 100 };
+
+// What the player typed for a completion's equation: the winning attempt keeps it when the
+// equation has parameters (their values are bound into equation), otherwise it is the equation
+function typedEquation({ equation, attempts, assisted }) {
+    const last = !assisted && Array.isArray(attempts) ? attempts[attempts.length - 1] : null;
+    return last && last.equation === equation && typeof last.typed === 'string' ? last.typed : equation;
+}
+
+function completionScore(c) {
+    if (c.assisted) return 0;
+    let tokens;
+    try { tokens = equationTokens(typedEquation(c)); } catch (_) { return 0; }
+    const points = SCORE_POINTS.base - SCORE_POINTS.perToken * tokens - SCORE_POINTS.perSecond * c.elapsedMs / 1000;
+    return Math.max(SCORE_POINTS.min, Math.round(points));
+}
@@ -0,0 +1,327 @@
+// --- Parameterized solver ---
+// Searches families like a*x + b*y + c for a field that solves a level: a coarse integer grid
+// first, then Nelder–Mead over a continuous exit-position error. Coefficients are snapped to
+// simple values and the simplest verified expression (by expressionComplexity) wins.
+// Pure: no DOM access; every run is bounded by a time and an evaluation budget.
+
+const SOLVER_DEFAULTS = {
+    timeBudgetMs: 2000,
+    maxEvaluations: 4000,  // integrations, the exact checks of candidates included
+    gridValues: [-2, -1, 0, 1, 2],
+    restarts: 2            // Nelder–Mead runs per family, from the best grid points
+};
+
+// --- Expression formatting ---
+function formatCoef(v) {
+    return String(+v.toFixed(6));
+}
+
+// "a*x" with the 1 / -1 / 0 cases folded; factor '' means a bare constant
+function formatTerm(coef, factor) {
+    if (coef === 0) return '';
+    if (!factor) return formatCoef(coef);
+    if (coef === 1) return factor;
+    if (coef === -1) return `-${factor}`;
+    return `${formatCoef(coef)}*${factor}`;
+}
+
+function joinTerms(terms) {
+    const parts = terms.filter(Boolean);
+    if (parts.length === 0) return '0';
+    return parts.reduce((acc, t) => (t.startsWith('-') ? `${acc} - ${t.slice(1)}` : `${acc} + ${t}`));
+}
+
+// sin(b*x) style argument
+const scaledVar = (b, v) => (b === 1 ? v : b === -1 ? `-${v}` : `${formatCoef(b)}*${v}`);
+
+// --- Families: f(params) builds a fast closure, format(params) the equivalent equation ---
+const SOLVER_FAMILIES = [
+    { name: 'constant', functions: [], params: 1,
+      f: ([c]) => () => c,
+      format: ([c]) => formatCoef(c) },
+    { name: 'linear-x', functions: [], params: 2,
+      f: ([a, c]) => (x) => a * x + c,
+      format: ([a, c]) => joinTerms([formatTerm(a, 'x'), formatTerm(c, '')]) },
+    { name: 'linear-y', functions: [], params: 2,
+      f: ([b, c]) => (x, y) => b * y + c,
+      format: ([b, c]) => joinTerms([formatTerm(b, 'y'), formatTerm(c, '')]) },
+    { name: 'linear', functions: [], params: 3,
+      f: ([a, b, c]) => (x, y) => a * x + b * y + c,
+      format: ([a, b, c]) => joinTerms([formatTerm(a, 'x'), formatTerm(b, 'y'), formatTerm(c, '')]) },
+    { name: 'quadratic-x', functions: [], params: 2,
+      f: ([a, b]) => (x) => a * x * x + b,
+      format: ([a, b]) => joinTerms([formatTerm(a, 'x^2'), formatTerm(b, '')]) },
+    { name: 'product', functions: [], params: 2,
+      f: ([a, c]) => (x, y) => a * x * y + c,
+      format: ([a, c]) => joinTerms([formatTerm(a, 'x*y'), formatTerm(c, '')]) },
+    { name: 'quadratic-xy', functions: [], params: 3,
+      f: ([a, b, c]) => (x, y) => a * x * x + b * y + c,
+      format: ([a, b, c]) => joinTerms([formatTerm(a, 'x^2'), formatTerm(b, 'y'), formatTerm(c, '')]) },
+    { name: 'sine-x', functions: ['sin'], params: 3,
+      f: ([a, b, c]) => (x, y) => a * Math.sin(b * x) + c * y,
+      format: ([a, b, c]) => joinTerms([b === 0 ? '' : formatTerm(a, `sin(${scaledVar(b, 'x')})`), formatTerm(c, 'y')]) },
+    { name: 'cosine-x', functions: ['cos'], params: 3,
+      f: ([a, b, c]) => (x) => a * Math.cos(b * x) + c,
+      // cos(0) is 1, so b = 0 folds into the constant
+      format: ([a, b, c]) => (b === 0
+          ? joinTerms([formatTerm(a + c, '')])
+          : joinTerms([formatTerm(a, `cos(${scaledVar(b, 'x')})`), formatTerm(c, '')])) },
+    { name: 'cubic-x', functions: [], params: 3,
+      f: ([a, b, c]) => (x, y) => a * x * x * x + b * y + c,
+      format: ([a, b, c]) => joinTerms([formatTerm(a, 'x^3'), formatTerm(b, 'y'), formatTerm(c, '')]) }
+];
+
+// --- Complexity: weighted AST size; decimals and function calls cost extra ---
+function expressionComplexity(expr) {
+    let score = 0;
+    parseEquation(expr).traverse((node, path) => {
+        if (path === 'fn') return; // the name of a FunctionNode is counted with the call
+        switch (node.type) {
+            case 'ConstantNode': score += Number.isInteger(node.value) ? 1 : 2; break;
+            case 'SymbolNode': score += 1; break;
+            case 'OperatorNode': score += 1; break;
+            case 'FunctionNode': score += 2; break;
+        }
+    });
+    return score;
+}
+
+// --- Continuous error of a trace against the goals (0 when every goal is met) ---
+
+// Clockwise position of a boundary point along the perimeter, starting at the top-left corner
+function perimeterPos(box, side, along) {
+    const w = box.xMax - box.xMin, h = box.yMax - box.yMin;
+    switch (side) {
+        case 'top': return along - box.xMin;
+        case 'right': return w + (box.yMax - along);
+        case 'bottom': return w + h + (box.xMax - along);
+        default: return 2 * w + h + (along - box.yMin);
+    }
+}
+
+function exitTargetError(box, exit, target) {
+    const perim = 2 * ((box.xMax - box.xMin) + (box.yMax - box.yMin));
+    const a = perimeterPos(box, target.side, target.from);
+    const b = perimeterPos(box, target.side, target.to);
+    const [lo, hi] = [Math.min(a, b), Math.max(a, b)];
+    if (exit.side == null) {
+        // Stalled inside: worse than any boundary exit, but still graded by distance
+        const mid = (target.from + target.to) / 2;
+        const tx = target.side === 'left' ? box.xMin : target.side === 'right' ? box.xMax : mid;
+        const ty = target.side === 'top' ? box.yMax : target.side === 'bottom' ? box.yMin : mid;
+        return perim / 2 + Math.hypot(exit.x - tx, exit.y - ty);
+    }
+    const s = perimeterPos(box, exit.side, exit.along);
+    if (s >= lo && s <= hi) return 0;
+    const d = Math.min(Math.abs(s - lo), Math.abs(s - hi));
+    return Math.min(d, perim - d);
+}
+
+// How far a path goes into an obstacle (0 when it stays out), so the search can tell a graze from
+// a plunge: depth below a disc's rim or inside a rect, and for a segment the distance from the
+// crossing to the nearer end. A region has no edge to measure, so the share of the path inside it
+// stands in, scaled to the box width.
+function obstaclePenetration(path, shape, box) {
+    const samples = [];
+    path.forEach(([x, y], i) => {
+        samples.push([x, y]);
+        if (i > 0) samples.push([(x + path[i - 1][0]) / 2, (y + path[i - 1][1]) / 2]);
+    });
+    if (shape.type === 'region') {
+        const inside = regionPredicate(shape.expr);
+        if (!inside || samples.length === 0) return 0;
+        return samples.filter(([x, y]) => inside(x, y)).length / samples.length * (box.xMax - box.xMin);
+    }
+    if (shape.type === 'rect') {
+        let depth = 0;
+        for (const [x, y] of samples) {
+            depth = Math.max(depth, Math.min(x - shape.xMin, shape.xMax - x, y - shape.yMin, shape.yMax - y));
+        }
+        return depth;
+    }
+    let depth = 0;
+    for (let i = 1; i < path.length; i++) {
+        const [ax, ay] = path[i - 1];
+        const [bx, by] = path[i];
+        if (shape.type === 'segment') {
+            if (!segmentsIntersect(ax, ay, bx, by, shape.x1, shape.y1, shape.x2, shape.y2)) continue;
+            const end = Math.min(pointSegmentDist2(shape.x1, shape.y1, ax, ay, bx, by),
+                pointSegmentDist2(shape.x2, shape.y2, ax, ay, bx, by));
+            depth = Math.max(depth, Math.sqrt(end));
+        } else {
+            depth = Math.max(depth, shape.r - Math.sqrt(pointSegmentDist2(shape.x, shape.y, ax, ay, bx, by)));
+        }
+    }
+    return depth;
+}
+
+function goalsError(goals, trace, box) {
+    const exits = [trace.forward.exit, trace.backward.exit];
+    const targets = goals.targets || [];
+    let err = 0;
+    if (targets.length === 1) {
+        err += Math.min(exitTargetError(box, exits[0], targets[0]), exitTargetError(box, exits[1], targets[0]));
+    } else if (targets.length === 2) {
+        err += Math.min(
+            exitTargetError(box, exits[0], targets[0]) + exitTargetError(box, exits[1], targets[1]),
+            exitTargetError(box, exits[0], targets[1]) + exitTargetError(box, exits[1], targets[0]));
+    }
+    const points = trace.forward.path.concat(trace.backward.path);
+    for (const c of goals.checkpoints || []) {
+        let best = Infinity;
+        for (const [x, y] of points) {
+            const d = c.type === 'segment'
+                ? Math.sqrt(pointSegmentDist2(x, y, c.x1, c.y1, c.x2, c.y2))
+                : Math.hypot(x - c.x, y - c.y) - c.r;
+            if (d < best) best = d;
+        }
+        err += Math.max(0, best);
+    }
+    const paths = [trace.forward.path, trace.backward.path];
+    // A hit costs 1 plus how deep it goes, so the search is pushed back out of the obstacle
+    for (const o of goals.obstacles || []) {
+        if (paths.some(p => pathTouchesShape(p, o))) err += 1 + Math.max(...paths.map(p => obstaclePenetration(p, o, box)));
+    }
+    return err;
+}
+
+// --- Nelder–Mead minimisation of fn over R^n, stopping when done() says so ---
+function nelderMead(fn, x0, step, done) {
+    const n = x0.length;
+    let simplex = [x0.slice()];
+    for (let i = 0; i < n; i++) {
+        const p = x0.slice();
+        p[i] += step;
+        simplex.push(p);
+    }
+    let values = simplex.map(fn);
+    for (let iter = 0; iter < 200 && !done(); iter++) {
+        const order = values.map((v, i) => i).sort((a, b) => values[a] - values[b]);
+        simplex = order.map(i => simplex[i]);
+        values = order.map(i => values[i]);
+        if (values[0] === 0 || Math.abs(values[n] - values[0]) < 1e-9) break;
+
+        const centroid = new Array(n).fill(0);
+        for (let i = 0; i < n; i++) for (let j = 0; j < n; j++) centroid[j] += simplex[i][j] / n;
+        const along = (t) => centroid.map((c, j) => c + t * (simplex[n][j] - c));
+
+        const reflected = along(-1);
+        const fr = fn(reflected);
+        if (fr < values[0]) {
+            const expanded = along(-2);
+            const fe = fn(expanded);
+            if (fe < fr) { simplex[n] = expanded; values[n] = fe; }
+            else { simplex[n] = reflected; values[n] = fr; }
+        } else if (fr < values[n - 1]) {
+            simplex[n] = reflected; values[n] = fr;
+        } else {
+            const contracted = along(fr < values[n] ? -0.5 : 0.5);
+            const fc = fn(contracted);
+            if (fc < Math.min(fr, values[n])) { simplex[n] = contracted; values[n] = fc; }
+            else {
+                for (let i = 1; i <= n; i++) {
+                    simplex[i] = simplex[i].map((v, j) => simplex[0][j] + 0.5 * (v - simplex[0][j]));
+                    values[i] = fn(simplex[i]);
+                }
+            }
+        }
+    }
+    const best = values.indexOf(Math.min(...values));
+    return { x: simplex[best], value: values[best] };
+}
+
+// Parameter vectors near p with simpler coefficients, simplest first
+function snappedParams(p) {
+    const out = [];
+    for (const unit of [1, 0.5, 0.25, 0.1, 0.01]) {
+        out.push(p.map(v => Math.round(v / unit) * unit));
+    }
+    out.push(p.map(v => +v.toFixed(4)));
+    return out;
+}
+
+// --- Search for the simplest field solving { start, goals, box } ---
+// request: { start, goals, box, traceOptions, skip, allowedFunctions, rules, timeBudgetMs, maxEvaluations,
+// onProgress }; rules (rules.js) drops candidates the level would refuse, and onProgress receives
+// { evaluations, fraction, best } every few dozen evaluations.
+// Returns { expr, complexity, evaluations, timedOut } with expr null when nothing was found.
+function solveLevel(request) {
+    const opts = { ...SOLVER_DEFAULTS, ...request };
+    const { start, goals, box, traceOptions } = opts;
+    const started = Date.now();
+    const deadline = started + opts.timeBudgetMs;
+    let evaluations = 0;
+    const outOfBudget = () => evaluations >= opts.maxEvaluations || Date.now() >= deadline;
+    const progress = () => {
+        if (!opts.onProgress) return;
+        const fraction = Math.min(1, Math.max(evaluations / opts.maxEvaluations, (Date.now() - started) / opts.timeBudgetMs));
+        opts.onProgress({ evaluations, fraction, best: best ? best.expr : null });
+    };
+
+    let best = null; // { expr, complexity }
+    const seen = new Set();
+
+    // Exact acceptance test on the formatted string, the same check the game runs
+    const accept = (expr) => {
+        if (seen.has(expr)) return;
+        seen.add(expr);
+        if (opts.skip !== undefined && equivalentEquations(expr, opts.skip)) return;
+        if (opts.rules && checkEquationRules(expr, { rules: opts.rules })) return;
+        const complexity = expressionComplexity(expr);
+        if (best && complexity >= best.complexity) return;
+        let f;
+        try { f = compileEquation(expr); } catch (_) { return; }
+        evaluations++;
+        if (evaluateGoals(goals, integrateTrace(f, start, box, traceOptions)).win) best = { expr, complexity };
+    };
+
+    const families = SOLVER_FAMILIES.filter(fam =>
+        !opts.allowedFunctions || fam.functions.every(fn => opts.allowedFunctions.includes(fn)));
+
+    for (const fam of families) {
+        if (outOfBudget()) break;
+        // Skip families that cannot beat what we already have
+        const floor = expressionComplexity(fam.format(new Array(fam.params).fill(2)));
+        if (best && best.complexity <= Math.min(floor, fam.params)) continue;
+
+        const cost = (p) => {
+            if (++evaluations % 40 === 0) progress();
+            const trace = integrateTrace(fam.f(p), start, box, traceOptions);
+            return goalsError(goals, trace, box);
+        };
+        const tryParams = (p) => {
+            for (const q of snappedParams(p)) {
+                if (outOfBudget()) return;
+                accept(fam.format(q));
+            }
+        };
+
+        // Coarse grid over small integers
+        const grid = [];
+        const total = Math.pow(opts.gridValues.length, fam.params);
+        for (let k = 0; k < total && !outOfBudget(); k++) {
+            const p = [];
+            for (let i = 0, r = k; i < fam.params; i++, r = Math.floor(r / opts.gridValues.length)) {
+                p.push(opts.gridValues[r % opts.gridValues.length]);
+            }
+            const value = cost(p);
+            if (value === 0) accept(fam.format(p));
+            grid.push({ p, value });
+        }
+
+        // Refine the most promising grid points
+        grid.sort((a, b) => a.value - b.value);
+        for (const { p, value } of grid.slice(0, opts.restarts)) {
+            if (outOfBudget() || value === 0) continue;
+            const { x, value: v } = nelderMead(cost, p, 0.5, outOfBudget);
+            if (v === 0) tryParams(x);
+        }
+    }
+
+    return {
+        expr: best ? best.expr : null,
+        complexity: best ? best.complexity : null,
+        evaluations,
+        timedOut: outOfBudget()
+    };
+}
@@ -0,0 +1,55 @@
+// --- Level statistics ---
+// Robust summaries of completion times: one AFK run must not move the headline number.
+// Pure; the same shape comes back from the Supabase RPC (see supabase/slope_level_stats.sql).
+//
+// { count, median, p25, p75, trimmedMean, histogram: { edges: [ms...], counts: [n...] } | null }
+// trimmedMean drops times outside Tukey's fences (p25 - 1.5 IQR, p75 + 1.5 IQR).
+// The histogram spans min .. upper fence in HISTOGRAM_BINS equal bins; slower times land in the last bin.
+
+const HISTOGRAM_BINS = 12;
+
+// Linear-interpolated quantile of an ascending array (q in [0, 1])
+function quantile(sorted, q) {
+    if (sorted.length === 0) return null;
+    const pos = (sorted.length - 1) * q;
+    const lo = Math.floor(pos), hi = Math.ceil(pos);
+    return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+function tukeyFences(p25, p75) {
+    const iqr = p75 - p25;
+    return [p25 - 1.5 * iqr, p75 + 1.5 * iqr];
+}
+
+function timeHistogram(sorted, upper, bins) {
+    const min = sorted[0];
+    const max = Math.max(upper, min + 1); // all-equal times still get a visible bin
+    const width = (max - min) / bins;
+    const edges = Array.from({ length: bins + 1 }, (_, i) => Math.round(min + i * width));
+    const counts = new Array(bins).fill(0);
+    for (const t of sorted) counts[Math.min(bins - 1, Math.floor((t - min) / width))]++;
+    return { edges, counts };
+}
+
+function levelStatistics(times) {
+    const sorted = times.filter(Number.isFinite).slice().sort((a, b) => a - b);
+    if (sorted.length === 0) return { count: 0, median: null, p25: null, p75: null, trimmedMean: null, histogram: null };
+    const p25 = quantile(sorted, 0.25), p75 = quantile(sorted, 0.75);
+    const [lowFence, highFence] = tukeyFences(p25, p75);
+    const kept = sorted.filter(t => t >= lowFence && t <= highFence);
+    return {
+        count: sorted.length,
+        median: Math.round(quantile(sorted, 0.5)),
+        p25: Math.round(p25),
+        p75: Math.round(p75),
+        trimmedMean: Math.round(kept.reduce((sum, t) => sum + t, 0) / kept.length),
+        histogram: timeHistogram(sorted, Math.min(sorted[sorted.length - 1], highFence), HISTOGRAM_BINS)
+    };
+}
+
+// Index of the histogram bin holding elapsedMs (clamped to the first / last bin)
+function histogramBinOf(histogram, elapsedMs) {
+    const { edges } = histogram;
+    for (let i = 1; i < edges.length - 1; i++) if (elapsedMs < edges[i]) return i - 1;
+    return edges.length - 2;
+}
@@ -0,0 +1,107 @@
+// --- Edge function: verify a completion, then store it ---
+// The game never inserts into slope_completions itself (slope_completions_rls.sql takes that right
+// away from the public key); it posts each completion here. The check is verifyCompletion() from
+// the game's own verify.js, loaded with the scripts it needs from GAME_URL, so the server replays
+// exactly what the game ships. The stored score is recomputed, never taken from the request.
+// Only ranked ids are stored, against the level rebuilt from the id (rankedLevel, verify.js):
+// packs by the puzzle codes in slope_ranked_levels (slope_ranked_levels.sql), dailies by
+// regenerating them, once per day and instance.
+//
+// Deploy:  supabase secrets set GAME_URL=https://<where index.html is served>/
+//          supabase functions deploy submit-completion
+// with, for a .js entry point, [functions.submit-completion] entrypoint = "./functions/submit-completion/index.js"
+// in supabase/config.toml.
+// SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY are set by Supabase.
+// Replies 201 { score } when stored, 422 { error } when the completion is refused.
+
+import { create, all } from 'npm:mathjs@11.5.0';
+import { createClient } from 'npm:@supabase/supabase-js@2';
+
+const TABLE = 'slope_completions';
+const REGISTRY = 'slope_ranked_levels';
+const MAX_BODY = 64 * 1024; // bytes; VERIFY_MAX_ATTEMPTS entries fit many times over
+const GAME_SCRIPTS = [
+    'expr.js', 'rules.js', 'engine.js', 'goals.js', 'levels.js', 'solver.js', 'random.js', 'daily.js',
+    'puzzles.js', 'profile.js', 'verify.js'
+];
+const CORS = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type'
+};
+
+// The scripts are classic browser scripts sharing globals: run them as one function body so their
+// top-level declarations see each other, with math.js passed in as the global they expect
+let game = null;
+function loadGame() {
+    if (!game) {
+        game = Promise.all(GAME_SCRIPTS.map(async (name) => {
+            const res = await fetch(new URL(name, Deno.env.get('GAME_URL')));
+            if (!res.ok) throw new Error(`${name}: HTTP ${res.status}`);
+            return res.text();
+        })).then(sources => new Function('math', `${sources.join('\n;\n')}
+            return { verifyCompletion, rankedLevel, completionScore, cleanProfileName };`)(create(all)));
+        game.catch(() => { game = null; }); // fetch again on the next request
+    }
+    return game;
+}
+
+const dailies = new Map(); // level id → rebuilt daily level
+
+// The level a ranked id stands for, or null when the id is not ranked
+async function canonicalLevel(game, db, levelId) {
+    if (typeof levelId !== 'string') return null;
+    if (levelId.startsWith('lvl_')) {
+        const { data, error } = await db.from(REGISTRY).select('puzzle_code').eq('level_id', levelId).maybeSingle();
+        if (error) throw new Error(error.message);
+        return data ? game.rankedLevel(levelId, { registry: { [levelId]: data.puzzle_code } }) : null;
+    }
+    if (levelId.startsWith('daily_')) {
+        if (!dailies.has(levelId)) dailies.set(levelId, game.rankedLevel(levelId));
+        return dailies.get(levelId);
+    }
+    return game.rankedLevel(levelId);
+}
+
+const reply = (status, body) => new Response(JSON.stringify(body), {
+    status,
+    headers: { ...CORS, 'Content-Type': 'application/json' }
+});
+
+Deno.serve(async (req) => {
+    if (req.method === 'OPTIONS') return new Response('ok', { headers: CORS });
+    if (req.method !== 'POST') return reply(405, { error: 'POST a completion' });
+    const text = await req.text();
+    if (text.length > MAX_BODY) return reply(413, { error: 'completion too large' });
+    let c;
+    try { c = JSON.parse(text); } catch (_) { return reply(400, { error: 'body is not JSON' }); }
+    if (!c || typeof c !== 'object') return reply(400, { error: 'not a completion' });
+
+    let game;
+    try { game = await loadGame(); }
+    catch (err) { return reply(503, { error: `game scripts unavailable: ${err.message}` }); }
+    const db = createClient(Deno.env.get('SUPABASE_URL'), Deno.env.get('SUPABASE_SERVICE_ROLE_KEY'));
+
+    let level;
+    try { level = await canonicalLevel(game, db, c.levelId); }
+    catch (err) { return reply(503, { error: `level registry unavailable: ${err.message}` }); }
+    if (!level) return reply(422, { error: 'this level is not ranked' });
+
+    let check;
+    try { check = game.verifyCompletion(c, undefined, level); } catch (err) { check = { ok: false, reason: err.message }; }
+    if (!check.ok) return reply(422, { error: check.reason });
+
+    const score = game.completionScore(c);
+    const { error } = await db.from(TABLE).insert({
+        username: game.cleanProfileName(c.username) || 'player',
+        level_id: c.levelId,
+        elapsed_ms: Math.round(c.elapsedMs),
+        player_id: typeof c.playerId === 'string' ? c.playerId.slice(0, 64) : null,
+        equation: c.equation,
+        assisted: c.assisted,
+        attempt_log: c.attempts,
+        puzzle_code: c.puzzleCode,
+        score
+    });
+    if (error) return reply(500, { error: error.message });
+    return reply(201, { score });
+});
@@ -0,0 +1,15 @@
+-- Replay data for each completion: the winning equation, whether Solve was used, the attempt
+-- log ([{ "equation": "...", "ms": 1234 }, ...]) and the puzzle code of the level. Together they
+-- let verifyCompletion() in verify.js re-run the exit simulation for any row.
+--
+-- Run once in the Supabase SQL editor. Rows from before this migration get assisted = false
+-- and no replay data.
+
+alter table slope_completions
+  add column if not exists equation text,
+  add column if not exists assisted boolean not null default false,
+  add column if not exists attempt_log jsonb,
+  add column if not exists puzzle_code text;
+
+create index if not exists slope_completions_level_unassisted
+  on slope_completions (level_id, elapsed_ms) where assisted is not true;
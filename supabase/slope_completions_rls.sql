@@ -0,0 +1,16 @@
+-- Completions are written only by the submit-completion edge function (supabase/functions), which
+-- replays each one with verifyCompletion() in verify.js and inserts it with the service role.
+-- Row level security lets everyone read the table (stats and ranks) but the anon and
+-- authenticated roles lose insert, update and delete, so the public key in scores.js cannot
+-- store a completion without it being verified.
+--
+-- Run once in the Supabase SQL editor, after slope_completions_score.sql and once the edge
+-- function is deployed: from then on older builds of the game can no longer submit.
+
+alter table slope_completions enable row level security;
+
+drop policy if exists slope_completions_read on slope_completions;
+create policy slope_completions_read on slope_completions
+  for select to anon, authenticated using (true);
+
+revoke insert, update, delete on slope_completions from anon, authenticated;
@@ -0,0 +1,12 @@
+-- Points for each completion, from completionScore() in rules.js: a shorter winning equation and
+-- a faster time score more, and completions that used Solve score 0. verifyCompletion() in
+-- verify.js recomputes it from the equation and elapsed_ms.
+--
+-- Run once in the Supabase SQL editor, after slope_completions_replay.sql. Older rows keep a
+-- null score.
+
+alter table slope_completions
+  add column if not exists score integer;
+
+create index if not exists slope_completions_level_score
+  on slope_completions (level_id, score desc) where assisted is not true;
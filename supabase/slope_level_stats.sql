@@ -0,0 +1,52 @@
+-- Aggregate statistics for one level, computed in the database so the client no longer
+-- downloads every elapsed_ms row. Mirrors levelStatistics() in stats.js: linear-interpolated
+-- quartiles, a mean over times inside Tukey's fences and 12 histogram bins from the fastest
+-- time to the upper fence (slower times go in the last bin). Assisted completions (Solve used)
+-- are left out, as in the client.
+--
+-- Run once in the Supabase SQL editor, after slope_completions_replay.sql. Until it exists the
+-- game falls back to fetching rows.
+
+create or replace function slope_level_stats(p_level_id text)
+returns json
+language sql
+stable
+as $$
+  with t as (
+    select elapsed_ms::float8 as ms from slope_completions
+    where level_id = p_level_id and assisted is not true
+  ),
+  q as (
+    select count(*) as n,
+           percentile_cont(0.25) within group (order by ms) as p25,
+           percentile_cont(0.50) within group (order by ms) as p50,
+           percentile_cont(0.75) within group (order by ms) as p75,
+           min(ms) as lo,
+           max(ms) as hi
+    from t
+  ),
+  f as (
+    select q.*,
+           p25 - 1.5 * (p75 - p25) as low_fence,
+           p75 + 1.5 * (p75 - p25) as high_fence,
+           greatest(least(hi, p75 + 1.5 * (p75 - p25)), lo + 1) as top
+    from q
+  ),
+  bins as (
+    select least(12, greatest(1, width_bucket(t.ms, f.lo, f.top, 12))) as b, count(*) as c
+    from t, f
+    group by 1
+  )
+  select case when f.n = 0 then json_build_object('count', 0) else json_build_object(
+    'count', f.n,
+    'median', round(f.p50),
+    'p25', round(f.p25),
+    'p75', round(f.p75),
+    'trimmed_mean', (select round(avg(ms)) from t where ms between f.low_fence and f.high_fence),
+    'edges', (select json_agg(round(f.lo + i * (f.top - f.lo) / 12) order by i) from generate_series(0, 12) as i),
+    'counts', (select json_agg(coalesce(bins.c, 0) order by i) from generate_series(1, 12) as i left join bins on bins.b = i)
+  ) end
+  from f;
+$$;
+
+grant execute on function slope_level_stats(text) to anon;
@@ -0,0 +1,16 @@
+-- Pack levels whose completions are ranked. The submit-completion edge function stores a
+-- completion for a "lvl_<id>" level only when the id is listed here, and replays it against this
+-- puzzle code rather than the one the player sent (rankedLevel() in verify.js). Generated levels
+-- and dailies need no entry: the function rebuilds them from the id.
+--
+-- Run once in the Supabase SQL editor. Add a level with the puzzle code the game shows for it:
+--   insert into slope_ranked_levels (level_id, puzzle_code) values ('lvl_<id>', '1.…');
+
+create table if not exists slope_ranked_levels (
+  level_id text primary key check (level_id like 'lvl\_%'),
+  puzzle_code text not null
+);
+
+-- Read by the edge function with the service role only
+alter table slope_ranked_levels enable row level security;
+revoke all on slope_ranked_levels from anon, authenticated;
@@ -0,0 +1,180 @@
+// --- Completion verification ---
+// A completion carries enough to be replayed: the puzzle code (the exact level), the winning
+// equation and the attempt log. verifyCompletion re-runs the exit simulation on all of it, so
+// a hand-made submission with an impossible time or a non-solving equation is rejected.
+// Pure (no DOM). The game checks before submitting; the submit-completion edge function
+// (supabase/functions) loads it after expr/rules/engine/goals/levels/solver/random/daily/puzzles/
+// profile.js and checks again, since anything the browser runs can be skipped. The server does not
+// trust the puzzle code either: it rebuilds the level from the id (rankedLevel) and the code has
+// to describe that same level.
+
+const VERIFY_MAX_ATTEMPTS = 200;
+const VERIFY_MAX_STEPS = 250000;    // integration steps over every replay of one completion
+const VERIFY_MAX_EQUATION = 200;    // characters in one equation
+const VERIFY_MAX_CODE = 4000;       // characters in the puzzle code
+const VERIFY_TIME_SLACK_MS = 2000;  // attempt timestamps vs. the reported time
+const VERIFY_MIN_MS = 1000;         // fastest believable solve: look at the level, type one character
+
+// Ids the game gives levels: x_y_lo_hi (generated and intro levels), daily_YYYY-MM-DD, lvl_<id>
+// (loaded packs) and shared_<id> (puzzle codes, edited or not, so never ranked)
+const RANKED_GENERATED_ID = /^(-?\d+)_(-?\d+)_([0-7])_([0-7])$/;
+const RANKED_DAILY_ID = /^daily_(\d{4}-\d\d-\d\d)$/;
+
+// --- The level behind a ranked id, rebuilt without looking at the completion; null when unranked ---
+// x_y_lo_hi: start (x, y) and half-edge targets lo and hi in the default world. daily_<key>: the
+// generator on dailySeed(key), the same bounded search the game runs, for days up to today.
+// lvl_<id>: the puzzle code opts.registry holds for the id (the server's list of pack levels).
+// opts: { registry, today, traceOptions }
+function rankedLevel(levelId, opts) {
+    const o = opts || {};
+    if (typeof levelId !== 'string') return null;
+    const generated = RANKED_GENERATED_ID.exec(levelId);
+    if (generated) {
+        const [x, y, lo, hi] = generated.slice(1).map(Number);
+        const inGrid = (v) => GRID_COORDS.includes(v);
+        if (!inGrid(x) || !inGrid(y) || lo >= hi || isUnwinnablePair(lo, hi)) return null;
+        return normalizeLevel({
+            id: levelId, world: LEVEL_DEFAULT_WORLD, start: { x, y },
+            targets: [segmentInterval(LEVEL_DEFAULT_WORLD, lo), segmentInterval(LEVEL_DEFAULT_WORLD, hi)]
+        });
+    }
+    const daily = RANKED_DAILY_ID.exec(levelId);
+    if (daily) {
+        const key = daily[1];
+        const date = new Date(`${key}T00:00:00Z`);
+        if (Number.isNaN(date.getTime()) || dailyKey(date) !== key || key > (o.today || dailyKey())) return null;
+        const level = generateLevel(LEVEL_DEFAULT_WORLD, { seed: dailySeed(key), traceOptions: o.traceOptions });
+        return level && { ...level, id: levelId, title: `Daily challenge ${key}` };
+    }
+    if (levelId.startsWith('lvl_') && o.registry && typeof o.registry[levelId] === 'string') {
+        const { level } = decodePuzzleCode(o.registry[levelId]);
+        return level && `lvl_${level.id}` === levelId ? level : null;
+    }
+    return null;
+}
+
+// What decides whether an equation wins or is allowed on a level, in one comparable string: keys
+// sorted, goal shapes in any order, and the equation itself only when it is locked
+function levelFingerprint(level) {
+    const sorted = (v) => (Array.isArray(v) ? v.map(sorted)
+        : v && typeof v === 'object' ? Object.fromEntries(Object.keys(v).sort().map(k => [k, sorted(v[k])])) : v);
+    const shapes = (list) => (list || []).map(s => JSON.stringify(sorted(s))).sort();
+    return JSON.stringify({
+        mode: level.mode || 'slope',
+        world: sorted(level.world),
+        start: sorted(level.start),
+        targets: shapes(level.targets),
+        checkpoints: shapes(level.checkpoints),
+        obstacles: shapes(level.obstacles),
+        allowedFunctions: level.allowedFunctions ? [...level.allowedFunctions].sort() : null,
+        rules: sorted(level.rules || null),
+        parameters: sorted(level.parameters || null),
+        locked: level.lockEquation ? level.initialEquation : null
+    });
+}
+
+// Is value one a slider over range can hold? It starts at range.value and snaps to multiples of step
+function onSlider(value, range) {
+    if (!Number.isFinite(value) || value < range.min || value > range.max) return false;
+    return value === range.value || Math.abs(value - Math.round(value / range.step) * range.step) <= range.step * 1e-6;
+}
+
+// Returns { ok: true } or { ok: false, reason }. canonical is the level rankedLevel() rebuilt for
+// c.levelId; without it (the game's own check) the level is the one in the puzzle code.
+function verifyCompletion(c, traceOptions, canonical) {
+    const fail = (reason) => ({ ok: false, reason });
+    if (!c || typeof c !== 'object') return fail('not a completion');
+    if (!Number.isFinite(c.elapsedMs) || c.elapsedMs < 0) return fail('elapsedMs must be a non-negative number');
+    if (typeof c.assisted !== 'boolean') return fail('assisted must be true or false');
+    if (typeof c.equation !== 'string' || !c.equation.trim()) return fail('missing equation');
+    if (c.equation.length > VERIFY_MAX_EQUATION) return fail('equation too long');
+    if (typeof c.puzzleCode !== 'string' || c.puzzleCode.length > VERIFY_MAX_CODE) return fail('missing or oversized puzzle code');
+
+    const { level: coded, errors } = decodePuzzleCode(c.puzzleCode);
+    if (!coded) return fail(errors[0]);
+    if (canonical) {
+        if (c.levelId !== canonical.id && c.levelId !== `lvl_${canonical.id}`) return fail('levelId does not match the level');
+        if (levelFingerprint(coded) !== levelFingerprint(canonical)) return fail('the puzzle code is not the level of this id');
+    } else if (![coded.id, `lvl_${coded.id}`, `shared_${coded.id}`].includes(c.levelId)) {
+        return fail('levelId does not match the puzzle code');
+    }
+    // From here on only the canonical level is run: nothing else from the code reaches math.js
+    const level = canonical || coded;
+
+    const attempts = c.attempts;
+    if (!Array.isArray(attempts)) return fail('attempts must be an array');
+    if (attempts.length > VERIFY_MAX_ATTEMPTS) return fail('attempt log too long');
+    let prevMs = 0;
+    for (const [i, a] of attempts.entries()) {
+        if (!a || typeof a.equation !== 'string' || !Number.isFinite(a.ms)) return fail(`attempts[${i}] is malformed`);
+        if (a.equation.length > VERIFY_MAX_EQUATION || (a.typed !== undefined && String(a.typed).length > VERIFY_MAX_EQUATION)) {
+            return fail(`attempts[${i}] is too long`);
+        }
+        if (a.ms < prevMs) return fail(`attempts[${i}] is out of order`);
+        prevMs = a.ms;
+    }
+    if (prevMs > c.elapsedMs + VERIFY_TIME_SLACK_MS) return fail('attempts end after the reported time');
+    // Solve can be pressed at once, and its completions are never ranked
+    if (!c.assisted && c.elapsedMs < VERIFY_MIN_MS) return fail('time is too short to be real');
+
+    // Each attempt's typed text and slider values must give the equation it played, with every
+    // value one its slider can reach; on a locked level the typed text is the level's equation
+    const sameText = (a, b) => {
+        try { return parseParts(a, level.mode).join('; ') === parseParts(b, level.mode).join('; '); }
+        catch (_) { return false; }
+    };
+    if (level.lockEquation && c.assisted) return fail('Solve is not available on a locked level');
+    for (const [i, a] of attempts.entries()) {
+        const typed = typeof a.typed === 'string' ? a.typed : a.equation;
+        if (typed !== a.equation) {
+            const values = a.parameters;
+            if (!values || typeof values !== 'object') return fail(`attempts[${i}] has typed text without parameters`);
+            for (const [name, value] of Object.entries(values)) {
+                if (!onSlider(value, levelParameterRange(level, name))) return fail(`attempts[${i}]: ${name} = ${value} is off its slider`);
+            }
+            let bound;
+            try { bound = bindParameters(typed, level.mode, values); } catch (_) { bound = null; }
+            if (bound !== a.equation) return fail(`attempts[${i}]: the typed equation and its parameters do not give the equation`);
+        }
+        if (level.lockEquation && !sameText(typed, level.initialEquation)) return fail(`attempts[${i}] changes the locked equation`);
+    }
+
+    // Rules and points are measured on what was typed (checked against the equation above)
+    const typed = typedEquation(c);
+    let broken;
+    try { broken = checkEquationRules(typed, level); } catch (_) { broken = 'it does not parse'; }
+    if (broken) return fail(`equation breaks the level's rules: ${broken}`);
+    if (c.score !== undefined && c.score !== completionScore(c)) return fail('score does not match the equation and time');
+
+    // The game stops at the first winning attempt: only the last entry of an unassisted log may
+    // win and it must be the submitted equation. With Solve, the answer is not an attempt at all.
+    const lastWinning = c.assisted ? attempts.length : attempts.length - 1;
+    if (!c.assisted && (attempts.length === 0 || attempts[lastWinning].equation !== c.equation)) {
+        return fail('the last attempt is not the submitted equation');
+    }
+
+    // Replays share one step budget; an equation tried twice is run once
+    let steps = 0;
+    const results = new Map();
+    const solves = (eq) => {
+        if (results.has(eq)) return results.get(eq);
+        if (steps > VERIFY_MAX_STEPS) return null;
+        let win = false;
+        try {
+            const trace = integrateTrace(compileEquation(eq, level.mode), level.start, level.world, traceOptions);
+            steps += trace.forward.exit.steps + trace.backward.exit.steps;
+            win = evaluateGoals(level, trace).win;
+        } catch (_) { /* does not compile: not a win */ }
+        results.set(eq, win);
+        return win;
+    };
+    const won = solves(c.equation);
+    if (won === null) return fail('too much to replay');
+    if (!won) return fail('equation does not solve the level');
+    for (let i = 0; i < lastWinning; i++) {
+        const earlier = solves(attempts[i].equation);
+        if (earlier === null) return fail('too much to replay');
+        if (earlier) return fail(`attempts[${i}] already solved the level`);
+    }
+    return { ok: true };
+}
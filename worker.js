@@ -0,0 +1,16 @@
+// --- Solver worker: runs JOB_HANDLERS (jobs.js) off the main thread ---
+// Keep the math.js version in step with index.html.
+importScripts(
+    'https://cdnjs.cloudflare.com/ajax/libs/mathjs/11.5.0/math.js',
+    'expr.js', 'rules.js', 'engine.js', 'goals.js', 'levels.js', 'random.js', 'solver.js', 'puzzles.js', 'jobs.js'
+);
+
+self.onmessage = (e) => {
+    const { id, type, payload } = e.data;
+    try {
+        const result = runJob(type, payload, (progress) => self.postMessage({ id, kind: 'progress', progress }));
+        self.postMessage({ id, kind: 'result', result });
+    } catch (err) {
+        self.postMessage({ id, kind: 'error', message: err.message });
+    }
+};